@@ -1,6 +1,15 @@
+const path = require('path');
 const { program } = require('commander');
 const GladlyImporter = require('./lib/importer');
-const { loadConfig } = require('./lib/config');
+const DeadLetterQueue = require('./lib/dead-letter-queue');
+const RunHistory = require('./lib/run-history');
+const { loadConfig, listTenants } = require('./lib/config');
+const { runWorkerPool } = require('./lib/worker-pool');
+const Scheduler = require('./lib/scheduler');
+const WebhookReceiver = require('./lib/webhook-receiver');
+const WebhookServer = require('./lib/webhook-server');
+const MetricsServer = require('./lib/metrics-server');
+const prometheus = require('./lib/prometheus');
 const logger = require('./lib/logger');
 
 program
@@ -11,49 +20,675 @@ program
   .option('-f, --full', 'Perform a full import of all available data')
   .option('-s, --start-date <date>', 'Start date for import (ISO 8601 format)')
   .option('-e, --end-date <date>', 'End date for import (ISO 8601 format)')
+  .option('-r, --resume', 'Continue an interrupted run from its checkpoint')
+  .option('--force', 'Send records to Enterpret even if they did not change since they were last sent')
   .option('-l, --limit <number>', 'Maximum number of conversations to import')
+  .option('-d, --dry-run', 'Transform and validate records without sending them to Enterpret')
+  .option('-o, --output <file>', 'Write records to a file instead of sending them to Enterpret')
+  .option('--format <format>', 'Output file format: ndjson, json or csv (default: from the file extension)')
+  .option('-n, --concurrency <number>', 'Number of conversations processed at once')
+  .option('-g, --granularity <mode>', 'One record per conversation, customer item or customer turn (conversation, item, turn)')
+  .option('--inbox <ids>', 'Only import conversations in these inboxes (comma-separated ids)')
+  .option('--exclude-inbox <ids>', 'Leave out conversations in these inboxes')
+  .option('--channel <channels>', 'Only import conversations where the customer wrote on these channels (e.g. email,chat)')
+  .option('--exclude-channel <channels>', 'Leave out conversations where the customer wrote on these channels')
+  .option('--topic <topics>', 'Only import conversations with one of these topics (ids or names)')
+  .option('--exclude-topic <topics>', 'Leave out conversations with one of these topics')
+  .option('--status <statuses>', 'Only import conversations with these statuses (e.g. CLOSED)')
+  .option('--exclude-status <statuses>', 'Leave out conversations with these statuses')
+  .option('--min-customer-messages <count>', 'Leave out conversations with fewer customer messages')
+  .option('--attribute <id=values>', 'Only import conversations whose custom attribute has one of the values (repeatable)', collect, [])
+  .option('--exclude-attribute <id=values>', 'Leave out conversations whose custom attribute has one of the values (repeatable)', collect, [])
+  .option('-t, --tenant <name>', 'Run for one tenant from the config\'s tenants section')
+  .option('--all-tenants', 'Run for every tenant in the config, isolating failures')
+  .option('-p, --parallel <number>', 'Tenants run at once with --all-tenants (default: 1)')
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-c, --config <path>', 'Path to config file', './config.json');
 
-program.parse();
-const options = program.opts();
+program.action(() => runCommand('Import', runImport));
 
-async function main() {
+program
+  .command('serve')
+  .alias('daemon')
+  .description('Keep running and import on a schedule until stopped with SIGTERM or SIGINT')
+  .option('--cron <expression>', 'Run on a cron expression (overrides schedule.cron)')
+  .option('--interval <ms>', 'Run every <ms> milliseconds (overrides schedule.interval)')
+  .action(commandOptions => runCommand('Serve', () => serve(commandOptions)));
+
+program
+  .command('webhooks')
+  .description('Receive Gladly webhooks and import the affected conversations until stopped with SIGTERM or SIGINT')
+  .option('--port <port>', 'Port to listen on (overrides webhook.port)')
+  .action(commandOptions => runCommand('Webhooks', () => receiveWebhooks(commandOptions)));
+
+program
+  .command('reconcile')
+  .description('Compare the conversations Gladly has for --start-date to --end-date with the ones imported')
+  .option('--fix', 'Import the missing and stale conversations')
+  .option('--json', 'Print the results as JSON')
+  .action(commandOptions => runCommand('Reconcile', () => reconcile(commandOptions)));
+
+program
+  .command('history')
+  .description('List past runs, latest first')
+  .option('--last <count>', 'Show only the latest <count> runs (default: 20)')
+  .option('--json', 'Print one JSON report per line instead of a table')
+  .action(commandOptions => runCommand('History', () => listRuns(commandOptions)));
+
+program
+  .command('report <runId>')
+  .description('Print the report of one run')
+  .option('--json', 'Print the report as JSON')
+  .action((runId, commandOptions) => runCommand('Report', () => showReport(runId, commandOptions)));
+
+const deadLetter = program
+  .command('dead-letter')
+  .description('Inspect and replay conversations that failed to import');
+
+deadLetter
+  .command('list')
+  .description('List dead-letter entries')
+  .action(() => runCommand('Dead-letter list', listDeadLetters));
+
+deadLetter
+  .command('inspect <conversationId>')
+  .description('Print one dead-letter entry with its raw payload')
+  .action(conversationId => runCommand('Dead-letter inspect', () => inspectDeadLetter(conversationId)));
+
+deadLetter
+  .command('retry [conversationIds...]')
+  .description('Replay dead-letter entries (all entries when no ids are given)')
+  .action(conversationIds => runCommand('Dead-letter retry', () => retryDeadLetters(conversationIds)));
+
+deadLetter
+  .command('purge [conversationIds...]')
+  .description('Delete dead-letter entries')
+  .option('-a, --all', 'Delete every entry')
+  .action((conversationIds, commandOptions) => runCommand('Dead-letter purge', () => purgeDeadLetters(conversationIds, commandOptions)));
+
+program.parseAsync();
+
+let loggingConfigured = false;
+
+async function loadCliConfig(tenantName = program.opts().tenant) {
+  const options = program.opts();
+  
+  if (options.verbose) {
+    logger.setLevel('debug');
+  }
+  
+  if (!tenantName && options.allTenants) {
+    throw new Error('This command works on one tenant; pass --tenant <name> instead of --all-tenants');
+  }
+  
+  const config = await loadConfig(options.config, tenantName);
+  
+  // Logging is set up once per process, from the first config loaded
+  if (!loggingConfigured) {
+    logger.setOutput(config.logging);
+    loggingConfigured = true;
+  }
+  
+  // Override config with CLI options if provided
+  if (options.startDate) config.startDate = options.startDate;
+  if (options.endDate) config.endDate = options.endDate;
+  if (options.limit) config.limit = parseInt(options.limit, 10);
+  if (options.concurrency) config.concurrency = parseInt(options.concurrency, 10);
+  if (options.granularity) config.granularity = options.granularity;
+  applyFilterOptions(config.filters, options);
+  
+  return config;
+}
+
+/**
+ * Replace the config's filters with the ones given on the command line
+ * 
+ * @param {Object} filters Filters config, changed in place
+ * @param {Object} options Parsed CLI options
+ */
+function applyFilterOptions(filters, options) {
+  const lists = {
+    inbox: 'inboxes',
+    excludeInbox: 'excludeInboxes',
+    channel: 'channels',
+    excludeChannel: 'excludeChannels',
+    topic: 'topics',
+    excludeTopic: 'excludeTopics',
+    status: 'statuses',
+    excludeStatus: 'excludeStatuses'
+  };
+  for (const [option, key] of Object.entries(lists)) {
+    if (options[option]) filters[key] = splitList(options[option]);
+  }
+  
+  if (options.minCustomerMessages) {
+    const count = parseInt(options.minCustomerMessages, 10);
+    if (isNaN(count) || count < 0) {
+      throw new Error(`Invalid --min-customer-messages ${options.minCustomerMessages}; expected a number`);
+    }
+    filters.minCustomerMessages = count;
+  }
+  
+  if (options.attribute.length > 0) filters.customAttributes = parseAttributes(options.attribute, '--attribute');
+  if (options.excludeAttribute.length > 0) filters.excludeCustomAttributes = parseAttributes(options.excludeAttribute, '--exclude-attribute');
+}
+
+// ['tier=gold,silver', 'region=eu'] -> { tier: ['gold', 'silver'], region: ['eu'] }
+function parseAttributes(pairs, option) {
+  const attributes = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid ${option} ${pair}; expected <id>=<values>`);
+    }
+    attributes[pair.slice(0, separator).trim()] = splitList(pair.slice(separator + 1));
+  }
+  return attributes;
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Commander collector for repeatable options
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Run a command for the selected tenant, or for every tenant with
+ * --all-tenants
+ * 
+ * Tenants run --parallel at a time, each with its own config and importer;
+ * a tenant that fails is reported and does not stop the others.
+ * 
+ * @param {string} name Command name for log messages
+ * @param {Function} task Called with each tenant's config
+ */
+async function forEachTenant(name, task) {
+  const options = program.opts();
+  
+  if (!options.allTenants) {
+    const config = await loadCliConfig();
+    return logger.withContext({ tenant: config.tenant }, () => task(config));
+  }
+  
+  const tenants = await listTenants(options.config);
+  if (tenants.length === 0) {
+    throw new Error(`${options.config} defines no tenants`);
+  }
+  
+  const parallel = parseInt(options.parallel || '1', 10);
+  const failed = [];
+  
+  await runWorkerPool(tenants, isNaN(parallel) ? 1 : parallel, tenant => logger.withContext({ tenant }, async () => {
+    try {
+      await task(await loadCliConfig(tenant));
+    } catch (error) {
+      failed.push(tenant);
+      logger.error(`${name} failed: ${error.message}`);
+    }
+  }));
+  
+  logger.info(`${name} finished for ${tenants.length - failed.length} of ${tenants.length} tenants`);
+  if (failed.length > 0) {
+    throw new Error(`failed for tenants: ${failed.join(', ')}`);
+  }
+}
+
+// Pushgateway URL -> job name, filled by the tenants a one-shot import ran for
+const pushTargets = new Map();
+
+async function runImport() {
   try {
-    if (options.verbose) {
-      logger.setLevel('debug');
+    await forEachTenant('Import', importTenant);
+  } finally {
+    for (const [url, jobName] of pushTargets) {
+      await prometheus.pushMetrics(url, jobName);
     }
+  }
+}
 
-    logger.info('Starting Gladly to Enterpret import');
+async function importTenant(config) {
+  const options = program.opts();
+  logger.info('Starting Gladly to Enterpret import');
+  
+  if (config.metrics.pushgatewayUrl) {
+    pushTargets.set(config.metrics.pushgatewayUrl, config.metrics.jobName);
+  }
+  
+  // Determine if this is a full or incremental import
+  const isFullImport = options.full === true;
+  
+  // Initialize and run the importer
+  const importer = new GladlyImporter(config);
+  const result = await importer.import({
+    isFullImport,
+    startDate: config.startDate,
+    endDate: config.endDate,
+    limit: config.limit,
+    resume: options.resume === true,
+    force: options.force === true,
+    dryRun: options.dryRun === true,
+    outputPath: options.allTenants ? tenantOutputPath(options.output, config.tenant) : options.output,
+    outputFormat: options.format
+  });
+  
+  logImportResult(result);
+}
+
+/**
+ * Give each tenant of an --all-tenants run its own output file, so tenants
+ * never overwrite one another: records.ndjson becomes records.acme.ndjson
+ * 
+ * @param {string} [outputPath] Path given with --output
+ * @param {string} tenant Tenant name
+ * @returns {string|undefined} The tenant's output path, if writing to a file
+ */
+function tenantOutputPath(outputPath, tenant) {
+  if (!outputPath) {
+    return outputPath;
+  }
+  
+  const { dir, name, ext } = path.parse(outputPath);
+  return path.join(dir, `${name}.${tenant}${ext}`);
+}
+
+function logImportResult(result) {
+  const log = logger.child({ runId: result.runId });
+  
+  const outcome = result.stopped ? 'stopped early' : (result.errorsCount > 0 ? `completed with ${result.errorsCount} failed conversations` : 'completed successfully');
+  log.info(`Import ${outcome}. Imported ${result.conversationsCount - result.errorsCount} of ${result.conversationsCount} conversations with ${result.itemsCount} items.`);
+  log.info(`Records: ${result.recordsSucceeded} succeeded, ${result.recordsRetried} retried, ${result.recordsFailed} failed, ${result.recordsUnchanged} unchanged and not sent.`);
+  
+  const redactions = Object.entries(result.redactions);
+  if (redactions.length > 0) {
+    log.info(`Redactions: ${redactions.map(([name, count]) => `${name} ${count}`).join(', ')}.`);
+  }
+  
+  const filtered = Object.entries(result.filtered);
+  if (filtered.length > 0) {
+    log.info(`Filtered out: ${filtered.map(([reason, count]) => `${reason} ${count}`).join(', ')}.`);
+  }
+  
+  const unknownItemTypes = Object.entries(result.unknownItemTypes);
+  if (unknownItemTypes.length > 0) {
+    log.warn(`Unsupported item types left out: ${unknownItemTypes.map(([type, count]) => `${type} ${count}`).join(', ')}.`);
+  }
+}
+
+/**
+ * Run incremental imports on a schedule until a shutdown signal
+ * 
+ * With --all-tenants every tenant gets its own importer and schedule. Each
+ * run resumes an interrupted one, so a run stopped by a signal is picked up
+ * by the next start. On SIGTERM or SIGINT no new runs start; a run in
+ * progress finishes the conversations it started, flushes their records
+ * and saves its cursor. A second signal exits straight away.
+ * 
+ * @param {Object} commandOptions cron and interval overrides
+ */
+async function serve(commandOptions) {
+  const options = program.opts();
+  const tenants = options.allTenants ? await listTenants(options.config) : [options.tenant];
+  
+  if (tenants.length === 0) {
+    throw new Error(`${options.config} defines no tenants`);
+  }
+  
+  const services = [];
+  for (const tenant of tenants) {
+    const config = await loadCliConfig(tenant);
+    const schedule = { ...config.schedule };
     
-    const config = await loadConfig(options.config);
+    if (commandOptions.cron) {
+      schedule.cron = commandOptions.cron;
+      delete schedule.interval;
+    } else if (commandOptions.interval) {
+      schedule.interval = parseInt(commandOptions.interval, 10);
+      delete schedule.cron;
+    }
     
-    // Override config with CLI options if provided
-    if (options.startDate) config.startDate = options.startDate;
-    if (options.endDate) config.endDate = options.endDate;
-    if (options.limit) config.limit = parseInt(options.limit, 10);
+    services.push({ tenant, config, importer: new GladlyImporter(config), scheduler: new Scheduler(schedule) });
+  }
+  
+  const metricsServer = await startMetricsServer(services);
+  
+  let stopping = false;
+  const shutdown = signal => {
+    if (stopping) {
+      logger.warn(`${signal} received again, exiting without waiting for the current run`);
+      process.exit(1);
+    }
     
-    // Determine if this is a full or incremental import
-    const isFullImport = options.full === true;
+    stopping = true;
+    logger.info(`${signal} received, finishing the current run before shutting down`);
+    for (const service of services) {
+      service.scheduler.stop();
+      service.importer.stop();
+    }
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+  
+  await Promise.all(services.map(({ tenant, importer, scheduler }) => logger.withContext({ tenant }, () => scheduler.run(async () => {
+    try {
+      logImportResult(await importer.import({ resume: true }));
+    } catch (error) {
+      // Another process is importing; try again at the next scheduled time
+      if (error.locked) {
+        logger.warn(`Skipping this run: ${error.message}`);
+        return;
+      }
+      throw error;
+    }
+  }))));
+  
+  if (metricsServer) {
+    await metricsServer.close();
+  }
+  logger.info('Shut down cleanly');
+}
+
+/**
+ * Receive Gladly webhooks until a shutdown signal
+ * 
+ * With --all-tenants each tenant gets its own receiver at
+ * <webhook.path>/<tenant>; the server listens on the port of the first
+ * tenant (or --port). On SIGTERM or SIGINT the server stops accepting
+ * requests and an import in progress finishes; events still waiting in the
+ * queue are imported after the next start. A second signal exits straight
+ * away.
+ * 
+ * @param {Object} commandOptions port override
+ */
+async function receiveWebhooks(commandOptions) {
+  const options = program.opts();
+  const tenants = options.allTenants ? await listTenants(options.config) : [options.tenant];
+  
+  if (tenants.length === 0) {
+    throw new Error(`${options.config} defines no tenants`);
+  }
+  
+  const routes = [];
+  let port;
+  for (const tenant of tenants) {
+    const config = await loadCliConfig(tenant);
+    const importer = new GladlyImporter(config);
+    const receiver = new WebhookReceiver(importer, config.webhook);
+    await logger.withContext({ tenant }, () => receiver.start());
+    
+    routes.push({ path: options.allTenants ? `${config.webhook.path}/${tenant}` : config.webhook.path, tenant, config, importer, receiver });
+    port = port !== undefined ? port : config.webhook.port;
+  }
+  
+  const server = new WebhookServer(routes, { port: commandOptions.port ? parseInt(commandOptions.port, 10) : port });
+  await server.listen();
+  const metricsServer = await startMetricsServer(routes);
+  
+  await new Promise(resolve => {
+    let stopping = false;
+    const shutdown = async signal => {
+      if (stopping) {
+        logger.warn(`${signal} received again, exiting without waiting for the current import`);
+        process.exit(1);
+      }
+      
+      stopping = true;
+      logger.info(`${signal} received, finishing the current import before shutting down`);
+      await Promise.all([server.close(), ...routes.map(route => logger.withContext({ tenant: route.tenant }, () => route.receiver.close()))]);
+      if (metricsServer) {
+        await metricsServer.close();
+      }
+      resolve();
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+  });
+  
+  logger.info('Shut down cleanly');
+}
+
+/**
+ * Serve /metrics, /healthz and /readyz for a daemon, unless metrics.enabled
+ * is false; the first tenant's metrics settings apply to the whole process
+ * 
+ * @param {Array} services Objects with tenant, config and importer; each importer's connections are a readiness check
+ * @returns {MetricsServer|null} The started server
+ */
+async function startMetricsServer(services) {
+  const { metrics } = services[0].config;
+  if (!metrics.enabled) {
+    return null;
+  }
+  
+  prometheus.collectProcessMetrics();
+  
+  const checks = services.map(({ tenant, importer }) => ({
+    name: tenant || 'default',
+    check: () => logger.withContext({ tenant }, () => importer.checkConnections())
+  }));
+  
+  const server = new MetricsServer({ port: metrics.port, checks });
+  await server.listen();
+  return server;
+}
+
+async function listDeadLetters() {
+  await forEachTenant('Dead-letter list', listTenantDeadLetters);
+}
+
+async function listTenantDeadLetters(config) {
+  const entries = await new DeadLetterQueue(config.deadLetterPath).list();
+  const tenant = config.tenant ? `${config.tenant}\t` : '';
+  
+  if (entries.length === 0) {
+    console.log(`${tenant}No dead-letter entries`);
+    return;
+  }
+  
+  for (const entry of entries) {
+    console.log(`${tenant}${entry.id}\t${entry.stage}\tattempts=${entry.attempts}\tlastFailedAt=${entry.lastFailedAt}\t${entry.error.message}`);
+  }
+  console.log(`${tenant}${entries.length} dead-letter entries`);
+}
+
+async function inspectDeadLetter(conversationId) {
+  const config = await loadCliConfig();
+  const entry = await new DeadLetterQueue(config.deadLetterPath).get(conversationId);
+  
+  if (!entry) {
+    throw new Error(`No dead-letter entry for conversation ${conversationId}`);
+  }
+  
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+async function retryDeadLetters(conversationIds) {
+  await forEachTenant('Dead-letter retry', async config => {
+    const importer = new GladlyImporter(config);
+    const result = await importer.retryDeadLetters(conversationIds);
+    
+    logger.child({ runId: result.runId }).info(`Dead-letter retry completed. Retried ${result.conversationsCount} conversations, ${result.errorsCount} still failing.`);
+  });
+}
+
+async function purgeDeadLetters(conversationIds, commandOptions) {
+  if (conversationIds.length === 0 && !commandOptions.all) {
+    throw new Error('Pass conversation ids to purge, or --all to purge every entry');
+  }
+  
+  const config = await loadCliConfig();
+  await new DeadLetterQueue(config.deadLetterPath).purge(commandOptions.all ? [] : conversationIds);
+}
+
+async function reconcile(commandOptions) {
+  await forEachTenant('Reconcile', async config => {
+    if (!config.startDate) {
+      throw new Error('reconcile needs --start-date (and optionally --end-date)');
+    }
     
-    // Initialize and run the importer
     const importer = new GladlyImporter(config);
-    const result = await importer.import({
-      isFullImport,
+    const result = await importer.reconcile({
       startDate: config.startDate,
       endDate: config.endDate,
-      limit: config.limit
+      fix: commandOptions.fix === true
     });
+    const tenant = config.tenant ? `${config.tenant}\t` : '';
     
-    logger.info(`Import completed successfully. Imported ${result.conversationsCount} conversations with ${result.itemsCount} items.`);
-    process.exit(0);
-  } catch (error) {
-    logger.error(`Import failed: ${error.message}`);
-    if (options.verbose) {
-      logger.error(error.stack);
+    if (commandOptions.json) {
+      console.log(JSON.stringify(config.tenant ? { tenant: config.tenant, ...result } : result, null, 2));
+    } else {
+      const lookup = result.enterpretChecked > 0 ? `, ${result.enterpretChecked} looked up in Enterpret` : '';
+      console.log(`${tenant}Gladly has ${result.gladlyCount} conversations from ${result.window.start} to ${result.window.end}${lookup}`);
+      
+      const rows = [
+        ...result.missing.map(gap => ['missing', gap.id, gap.updatedAt || '-', '-', gap.reason]),
+        ...result.stale.map(gap => ['stale', gap.id, gap.updatedAt || '-', gap.importedUpdatedAt, '']),
+        ...result.orphaned.map(gap => ['orphaned', gap.id, '-', gap.importedUpdatedAt, gap.reason])
+      ];
+      if (rows.length > 0) {
+        printTable(['GAP', 'CONVERSATION', 'UPDATED', 'IMPORTED', 'REASON'], rows, tenant);
+      }
+      const untracked = result.untracked > 0 ? `, ${result.untracked} untracked (updated before the state's retention)` : '';
+      console.log(`${tenant}${result.missing.length} missing, ${result.stale.length} stale, ${result.orphaned.length} orphaned${untracked}`);
     }
-    process.exit(1);
+    
+    // A non-zero exit makes gaps visible to whatever runs the check
+    const gaps = result.missing.length + result.stale.length;
+    if (result.fixed) {
+      logger.child({ runId: result.fixed.runId }).info(`Re-imported ${gaps - result.fixed.errorsCount} of ${gaps} conversations.`);
+      if (result.fixed.errorsCount > 0) {
+        throw new Error(`${result.fixed.errorsCount} conversations still failing; see the dead-letter queue`);
+      }
+    } else if (gaps > 0) {
+      throw new Error(`${gaps} conversations missing or stale; run with --fix to import them`);
+    }
+  });
+}
+
+async function listRuns(commandOptions) {
+  const count = parseInt(commandOptions.last || '20', 10);
+  if (isNaN(count) || count < 1) {
+    throw new Error(`Invalid --last ${commandOptions.last}; expected a positive number`);
   }
+  
+  await forEachTenant('History', async config => {
+    const reports = await new RunHistory(config.reportPath).list(count);
+    const tenant = config.tenant ? `${config.tenant}\t` : '';
+    
+    if (commandOptions.json) {
+      for (const report of reports) {
+        console.log(JSON.stringify(config.tenant ? { tenant: config.tenant, ...report } : report));
+      }
+      return;
+    }
+    
+    if (reports.length === 0) {
+      console.log(`${tenant}No runs recorded`);
+      return;
+    }
+    
+    const rows = reports.map(report => [
+      report.runId,
+      report.type,
+      report.status,
+      report.startTime,
+      formatDuration(report.durationMs),
+      String(report.conversations.processed),
+      String(report.records.succeeded),
+      String(report.errors.total),
+      (report.watermark && report.watermark.after) || '-'
+    ]);
+    printTable(['RUN', 'TYPE', 'STATUS', 'STARTED', 'DURATION', 'CONVERSATIONS', 'RECORDS', 'ERRORS', 'WATERMARK'], rows, tenant);
+  });
 }
 
-main();
\ No newline at end of file
+async function showReport(runId, commandOptions) {
+  const config = await loadCliConfig();
+  const report = await new RunHistory(config.reportPath).get(runId);
+  
+  if (!report) {
+    throw new Error(`No report for run ${runId}`);
+  }
+  
+  if (commandOptions.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  
+  const details = [report.mode, report.target !== 'enterpret' ? report.target : null].filter(Boolean);
+  const { conversations, records, throughput } = report;
+  
+  printTable(null, [
+    ['Run', report.runId],
+    ['Type', details.length > 0 ? `${report.type} (${details.join(', ')})` : report.type],
+    ['Status', report.error ? `${report.status}: ${report.error}` : report.status],
+    ['Window', report.window ? `${report.window.start} to ${report.window.end}` : '-'],
+    ['Watermark', report.watermark ? `${report.watermark.before || 'none'} to ${report.watermark.after || 'none'}` : '-'],
+    ['Started', report.startTime],
+    ['Duration', formatDuration(report.durationMs)],
+    ['Throughput', `${throughput.conversationsPerSecond} conversations/s, ${throughput.recordsPerSecond} records/s`],
+    ['Conversations', `${conversations.processed} processed, ${conversations.skipped} skipped, ${conversations.failed} failed`],
+    ['Items', String(report.items)],
+    ['Customers', `${report.customers} (${report.customerCacheHits} from cache)`],
+    ['Records', `${records.succeeded} succeeded, ${records.retried} retried, ${records.failed} failed, ${records.unchanged} unchanged`]
+  ]);
+  
+  console.log();
+  printTable(['STAGE', 'COMPLETED', 'FAILED'], Object.entries(report.stages)
+    .map(([stage, counts]) => [stage, String(counts.completed), String(counts.failed)]));
+  
+  const sections = [
+    ['FILTER', 'CONVERSATIONS', conversations.filtered || {}],
+    ['CHANNEL', 'RECORDS', report.channels],
+    ['HTTP STATUS', 'ERRORS', report.errors.byStatus],
+    ['REDACTION', 'COUNT', report.redactions],
+    ['UNSUPPORTED ITEM TYPE', 'COUNT', report.unknownItemTypes]
+  ];
+  for (const [name, column, counts] of sections) {
+    if (Object.keys(counts).length > 0) {
+      console.log();
+      printTable([name, column], Object.entries(counts).map(([key, count]) => [key, String(count)]));
+    }
+  }
+}
+
+/**
+ * Print rows as columns padded to their widest cell
+ * 
+ * @param {Array|null} header Column titles, or null for none
+ * @param {Array} rows Rows of strings
+ * @param {string} [prefix] Printed before every line (e.g. the tenant)
+ */
+function printTable(header, rows, prefix = '') {
+  const lines = header ? [header, ...rows] : rows;
+  const widths = lines[0].map((cell, column) => Math.max(...lines.map(line => line[column].length)));
+  
+  for (const line of lines) {
+    console.log(`${prefix}${line.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`);
+  }
+}
+
+// 83456 -> 1m 23.5s
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 100) / 10;
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${Math.round((seconds - minutes * 60) * 10) / 10}s` : `${seconds}s`;
+}
+
+async function runCommand(name, command) {
+  let exitCode = 0;
+  try {
+    await command();
+  } catch (error) {
+    logger.error(`${name} failed: ${error.message}`);
+    if (program.opts().verbose) {
+      logger.error(error.stack);
+    }
+    exitCode = 1;
+  }
+  
+  await logger.flush();
+  process.exit(exitCode);
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+const logger = require('./logger');
+const prometheus = require('./prometheus');
+
+const SUCCESS_STATUSES = ['success', 'ok', 'created', 'updated'];
+
+// Statuses meaning Enterpret refused the payload itself, so a smaller batch may get through
+const REJECTED_STATUSES = [400, 413, 422];
+
+/**
+ * Collects transformed feedback records into batches and sends them to
+ * Enterpret, retrying only the records that failed
+ * 
+ * Server and transport errors (5xx, 401, timeouts, connection errors) were
+ * already retried by the HTTP retry policy, so they fail the whole batch.
+ * Only a batch Enterpret rejected is split, to find the records it refused.
+ */
+class BatchSender {
+  /**
+   * Create a new batch sender
+   * 
+   * @param {EnterpretClient} enterpretClient Client used to post batches
+   * @param {Object} options Batching options
+   * @param {number} options.batchSize Maximum number of records per batch
+   * @param {number} options.maxBatchBytes Maximum serialized size of a batch in bytes
+   * @param {number} options.maxRetries Number of times a record the batch response reported as failed is retried
+   * @param {number} options.retryDelay Milliseconds to wait before retrying those records
+   * @param {Function} [options.onDelivered] Called with (record) for records Enterpret accepted
+   * @param {Function} [options.onFailed] Called with (record, error) for records that failed for good
+   */
+  constructor(enterpretClient, options) {
+    this.enterpretClient = enterpretClient;
+    this.batchSize = options.batchSize;
+    this.maxBatchBytes = options.maxBatchBytes;
+    this.maxRetries = options.maxRetries;
+    this.retryDelay = options.retryDelay;
+    this.onDelivered = options.onDelivered || (() => {});
+    this.onFailed = options.onFailed || (() => {});
+    
+    this.batch = [];
+    this.batchBytes = 0;
+    this.stats = {
+      succeeded: 0,
+      retried: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Add a record to the current batch, sending the batch once it is full
+   * 
+   * @param {Object} record Transformed feedback record
+   */
+  async add(record) {
+    const size = Buffer.byteLength(JSON.stringify(record), 'utf8');
+    
+    if (this.batch.length > 0 && this.batchBytes + size > this.maxBatchBytes) {
+      await this.flush();
+    }
+    
+    this.batch.push(record);
+    this.batchBytes += size;
+    
+    if (this.batch.length >= this.batchSize || this.batchBytes >= this.maxBatchBytes) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Send whatever is left in the current batch
+   */
+  async flush() {
+    if (this.batch.length === 0) {
+      return;
+    }
+    
+    const records = this.batch;
+    this.batch = [];
+    this.batchBytes = 0;
+    
+    logger.debug(`Sending batch of ${records.length} feedback records`);
+    await this._send(records, 0);
+  }
+
+  /**
+   * Send records, splitting rejected batches in half and retrying the
+   * records the response reported as failed
+   * 
+   * @param {Array} records Feedback records to send
+   * @param {number} attempt Number of retries already made for these records
+   */
+  async _send(records, attempt) {
+    let response;
+    const endStage = prometheus.startStage('post');
+    
+    try {
+      response = await this.enterpretClient.importFeedbackBatch(records);
+      endStage();
+    } catch (error) {
+      if (isRejected(error) && records.length > 1) {
+        const middle = Math.ceil(records.length / 2);
+        logger.warn(`Batch of ${records.length} records rejected (${error.message}). Splitting and retrying each half.`);
+        await this._send(records.slice(0, middle), attempt);
+        await this._send(records.slice(middle), attempt);
+        return;
+      }
+      
+      // A rejected record is rejected again, and anything else was retried already
+      await this._fail(records.map(record => ({ record, error })), attempt);
+      return;
+    }
+    
+    const failures = this._parseFailures(records, response);
+    const failed = new Set(failures.map(failure => failure.record));
+    
+    for (const record of records) {
+      if (!failed.has(record)) {
+        this.stats.succeeded++;
+        await this.onDelivered(record);
+      }
+    }
+    
+    if (failures.length > 0) {
+      await this._retryOrFail(failures, attempt);
+    }
+  }
+
+  async _retryOrFail(failures, attempt) {
+    if (attempt < this.maxRetries) {
+      this.stats.retried += failures.length;
+      logger.warn(`Retrying ${failures.length} failed feedback records (attempt ${attempt + 1} of ${this.maxRetries})`);
+      await this._delay(this.retryDelay);
+      await this._send(failures.map(failure => failure.record), attempt + 1);
+      return;
+    }
+    
+    await this._fail(failures, attempt);
+  }
+
+  async _fail(failures, attempt) {
+    for (const { record, error } of failures) {
+      this.stats.failed++;
+      logger.error(`Feedback ${record.id} failed${attempt > 0 ? ` after ${attempt + 1} attempts` : ''}: ${error.message}`);
+      await this.onFailed(record, error);
+    }
+  }
+
+  /**
+   * Extract the records that failed from a batch response
+   * 
+   * A response without per-item results means the whole batch was accepted.
+   * 
+   * @param {Array} records Feedback records that were sent
+   * @param {Object} response Batch import response
+   * @returns {Array} Failures as { record, error } pairs
+   */
+  _parseFailures(records, response) {
+    const results = response && Array.isArray(response.results) ? response.results : null;
+    if (!results) {
+      return [];
+    }
+    
+    const resultsById = new Map(results.map(result => [result.id, result]));
+    const failures = [];
+    
+    for (const record of records) {
+      const result = resultsById.get(record.id);
+      
+      if (!result) {
+        failures.push({ record, error: new Error('No result returned for record') });
+      } else if (result.success !== true && !SUCCESS_STATUSES.includes(String(result.status).toLowerCase())) {
+        failures.push({ record, error: new Error(result.error || result.message || `Import status ${result.status}`) });
+      }
+    }
+    
+    return failures;
+  }
+
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Validation errors never reached Enterpret; they mark the payload as bad just the same
+function isRejected(error) {
+  return error.invalid === true || REJECTED_STATUSES.includes(error.status);
+}
+
+module.exports = BatchSender;
\ No newline at end of file
@@ -1,63 +1,199 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const { loadMapping, mergeMappings } = require('./mapping');
+const Transformer = require('./transformer');
+const { BACKENDS } = require('./state-store');
 
 
-async function loadConfig(configPath) {
+/**
+ * Load, merge and validate the configuration, including the field mapping
+ * 
+ * With a tenant name, the tenant's section of `tenants` is merged over the
+ * top-level settings (see resolveTenant).
+ * 
+ * @param {string} configPath Path to the JSON config file
+ * @param {string} [tenantName] Tenant to load
+ * @returns {Object} Validated configuration
+ */
+async function loadConfig(configPath, tenantName) {
+  const config = await loadBaseConfig(configPath, tenantName);
+  
+  // Mapping errors must stop startup, so they are kept out of loadBaseConfig's fallback
+  config.mapping = await loadMapping(config);
+  
+  return config;
+}
+
+async function loadBaseConfig(configPath, tenantName) {
   const defaultConfig = {
     gladly: {
       apiUrl: process.env.GLADLY_API_URL || 'https://organization.gladly.com',
       username: process.env.GLADLY_USERNAME,
-      apiToken: process.env.GLADLY_API_TOKEN
+      apiToken: process.env.GLADLY_API_TOKEN,
+      maxConcurrent: parseInt(process.env.GLADLY_MAX_CONCURRENT || '5', 10),
+      requestsPerSecond: parseFloat(process.env.GLADLY_REQUESTS_PER_SECOND || '10'),
+      exportPollInterval: parseInt(process.env.GLADLY_EXPORT_POLL_INTERVAL || '10000', 10),
+      exportTimeout: parseInt(process.env.GLADLY_EXPORT_TIMEOUT || '1800000', 10),
+      maxMergeHops: parseInt(process.env.GLADLY_MAX_MERGE_HOPS || '5', 10)
     },
     enterpret: {
       apiUrl: process.env.ENTERPRET_API_URL || 'https://api.enterpret.com',
-      apiKey: process.env.ENTERPRET_API_KEY
+      apiKey: process.env.ENTERPRET_API_KEY,
+      maxConcurrent: parseInt(process.env.ENTERPRET_MAX_CONCURRENT || '2', 10),
+      requestsPerSecond: parseFloat(process.env.ENTERPRET_REQUESTS_PER_SECOND || '5'),
+      lookupPath: process.env.ENTERPRET_LOOKUP_PATH
     },
     stateFilePath: process.env.STATE_FILE_PATH || './import-state.json',
+    state: {
+      backend: process.env.STATE_BACKEND || 'file',
+      lockTtl: parseInt(process.env.STATE_LOCK_TTL || '600000', 10),
+      retention: parseInt(process.env.STATE_RETENTION || '2592000000', 10),
+      maxFailedAttempts: parseInt(process.env.STATE_MAX_FAILED_ATTEMPTS || '5', 10),
+      file: {},
+      sqlite: {
+        path: process.env.STATE_SQLITE_PATH || './data/import-state.db',
+        key: process.env.STATE_SQLITE_KEY || 'default'
+      },
+      s3: {
+        bucket: process.env.STATE_S3_BUCKET,
+        key: process.env.STATE_S3_KEY || 'gladly-enterpret/import-state.json',
+        region: process.env.STATE_S3_REGION || process.env.AWS_REGION,
+        endpoint: process.env.STATE_S3_ENDPOINT,
+        forcePathStyle: process.env.STATE_S3_FORCE_PATH_STYLE ? process.env.STATE_S3_FORCE_PATH_STYLE === 'true' : undefined
+      },
+      redis: {
+        url: process.env.STATE_REDIS_URL || 'redis://127.0.0.1:6379',
+        key: process.env.STATE_REDIS_KEY || 'gladly-enterpret:import-state'
+      }
+    },
+    deadLetterPath: process.env.DEAD_LETTER_PATH || './data/dead-letter',
+    reportPath: process.env.REPORT_PATH || './data/reports',
+    reportRetention: parseInt(process.env.REPORT_RETENTION || '1000', 10),
+    schedule: {
+      cron: process.env.SCHEDULE_CRON,
+      interval: process.env.SCHEDULE_INTERVAL ? parseInt(process.env.SCHEDULE_INTERVAL, 10) : undefined,
+      timezone: process.env.SCHEDULE_TIMEZONE,
+      backoff: parseInt(process.env.SCHEDULE_BACKOFF || '60000', 10),
+      maxBackoff: parseInt(process.env.SCHEDULE_MAX_BACKOFF || '3600000', 10)
+    },
+    webhook: {
+      port: parseInt(process.env.WEBHOOK_PORT || '8080', 10),
+      path: process.env.WEBHOOK_PATH || '/webhooks/gladly',
+      secret: process.env.WEBHOOK_SECRET,
+      signatureHeader: process.env.WEBHOOK_SIGNATURE_HEADER || 'x-gladly-signature',
+      queuePath: process.env.WEBHOOK_QUEUE_PATH || './data/webhook-queue',
+      debounce: parseInt(process.env.WEBHOOK_DEBOUNCE || '30000', 10),
+      maxDelay: parseInt(process.env.WEBHOOK_MAX_DELAY || '300000', 10),
+      retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '60000', 10)
+    },
+    metrics: {
+      enabled: process.env.METRICS_ENABLED !== 'false',
+      port: parseInt(process.env.METRICS_PORT || '9464', 10),
+      pushgatewayUrl: process.env.METRICS_PUSHGATEWAY_URL,
+      jobName: process.env.METRICS_JOB_NAME || 'gladly_enterpret_import'
+    },
+    logging: {
+      format: process.env.LOG_FORMAT || 'text',
+      destinations: (process.env.LOG_DESTINATIONS || 'stdout,file').split(',').map(destination => destination.trim()),
+      directory: process.env.LOG_DIR || './logs',
+      syslog: {
+        host: process.env.LOG_SYSLOG_HOST || 'localhost',
+        port: parseInt(process.env.LOG_SYSLOG_PORT || '514', 10),
+        protocol: process.env.LOG_SYSLOG_PROTOCOL || 'udp4',
+        path: process.env.LOG_SYSLOG_PATH,
+        facility: process.env.LOG_SYSLOG_FACILITY || 'local0',
+        appName: process.env.LOG_SYSLOG_APP_NAME || 'gladly-enterpret-import'
+      }
+    },
+    filters: {
+      inboxes: listFromEnv('FILTER_INBOXES'),
+      excludeInboxes: listFromEnv('FILTER_EXCLUDE_INBOXES'),
+      channels: listFromEnv('FILTER_CHANNELS'),
+      excludeChannels: listFromEnv('FILTER_EXCLUDE_CHANNELS'),
+      topics: listFromEnv('FILTER_TOPICS'),
+      excludeTopics: listFromEnv('FILTER_EXCLUDE_TOPICS'),
+      statuses: listFromEnv('FILTER_STATUSES'),
+      excludeStatuses: listFromEnv('FILTER_EXCLUDE_STATUSES'),
+      minCustomerMessages: parseInt(process.env.FILTER_MIN_CUSTOMER_MESSAGES || '0', 10),
+      customAttributes: {},
+      excludeCustomAttributes: {}
+    },
+    customerCachePath: process.env.CUSTOMER_CACHE_PATH,
+    customerCacheTtl: parseInt(process.env.CUSTOMER_CACHE_TTL || '86400000', 10),
     batchSize: parseInt(process.env.BATCH_SIZE || '100', 10),
+    concurrency: parseInt(process.env.CONCURRENCY || '4', 10),
+    checkpointInterval: parseInt(process.env.CHECKPOINT_INTERVAL || '100', 10),
+    maxBatchBytes: parseInt(process.env.MAX_BATCH_BYTES || '5242880', 10),
     maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
-    retryDelay: parseInt(process.env.RETRY_DELAY || '5000', 10)
+    retryDelay: parseInt(process.env.RETRY_DELAY || '5000', 10),
+    mappingFile: process.env.MAPPING_FILE,
+    granularity: process.env.GRANULARITY || 'conversation',
+    includeContext: process.env.INCLUDE_CONTEXT !== 'false',
+    maxRetryDelay: parseInt(process.env.MAX_RETRY_DELAY || '60000', 10),
+    requestTimeout: parseInt(process.env.REQUEST_TIMEOUT || '30000', 10),
+    redaction: {
+      enabled: process.env.REDACTION_ENABLED !== 'false',
+      salt: process.env.REDACTION_SALT,
+      textFields: {
+        content: 'mask',
+        'context[].text': 'mask',
+        'messages[].text': 'mask',
+        'messages[].subject': 'mask',
+        'messages[].transcription': 'mask'
+      },
+      valueFields: {
+        'customer.email': 'mask',
+        'customer.phone': 'mask'
+      }
+    }
   };
-
+  
+  let fileConfig = null;
   try {
     if (configPath) {
       logger.debug(`Loading config from ${configPath}`);
       
       try {
         await fs.access(configPath);
+        fileConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
       } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
         logger.warn(`Config file ${configPath} not found, using default config and environment variables`);
-        return validateConfig(defaultConfig);
       }
-      
-      const fileData = await fs.readFile(configPath, 'utf8');
-      const fileConfig = JSON.parse(fileData);
-      
-      const mergedConfig = {
-        ...defaultConfig,
-        ...fileConfig,
-        gladly: {
-          ...defaultConfig.gladly,
-          ...(fileConfig.gladly || {})
-        },
-        enterpret: {
-          ...defaultConfig.enterpret,
-          ...(fileConfig.enterpret || {})
-        }
-      };
-      
-      return validateConfig(mergedConfig);
     }
   } catch (error) {
     logger.error(`Error loading config: ${error.message}`);
     logger.info('Falling back to default configuration');
   }
   
-  return validateConfig(defaultConfig);
+  const config = fileConfig ? mergeConfig(defaultConfig, fileConfig) : defaultConfig;
+  
+  if (tenantName) {
+    return validateConfig(resolveTenant(config, tenantName));
+  }
+  
+  const tenantNames = Object.keys(config.tenants || {});
+  if (tenantNames.length > 0 && !config.gladly.username) {
+    throw new Error(`Config defines tenants (${tenantNames.join(', ')}); pass --tenant <name> or --all-tenants`);
+  }
+  
+  return validateConfig(config);
 }
 
 function validateConfig(config) {
+  // Registered before anything else so no error below can log them
+  logger.addSecrets([
+    config.gladly.apiToken,
+    config.gladly.username && config.gladly.apiToken
+      ? Buffer.from(`${config.gladly.username}:${config.gladly.apiToken}`).toString('base64')
+      : null,
+    config.enterpret.apiKey,
+    config.webhook.secret,
+    config.redaction.salt,
+    config.state.s3.secretAccessKey
+  ]);
+  
   if (!config.gladly.username) {
     throw new Error('Gladly username is required in config or GLADLY_USERNAME env var');
   }
@@ -78,24 +214,368 @@ function validateConfig(config) {
     logger.warn('Invalid batchSize, using default: 100');
   }
   
+  if (isNaN(config.maxBatchBytes) || config.maxBatchBytes < 1) {
+    config.maxBatchBytes = 5242880;
+    logger.warn('Invalid maxBatchBytes, using default: 5242880');
+  }
+  
   if (isNaN(config.maxRetries) || config.maxRetries < 0) {
     config.maxRetries = 3;
     logger.warn('Invalid maxRetries, using default: 3');
   }
   
+  validateApiLimits(config.gladly, 'gladly', 5, 10);
+  validateApiLimits(config.enterpret, 'enterpret', 2, 5);
+  
+  if (isNaN(config.concurrency) || config.concurrency < 1) {
+    config.concurrency = 4;
+    logger.warn('Invalid concurrency, using default: 4');
+  }
+  
+  if (isNaN(config.checkpointInterval) || config.checkpointInterval < 1) {
+    config.checkpointInterval = 100;
+    logger.warn('Invalid checkpointInterval, using default: 100');
+  }
+  
+  if (isNaN(config.gladly.exportPollInterval) || config.gladly.exportPollInterval < 0) {
+    config.gladly.exportPollInterval = 10000;
+    logger.warn('Invalid gladly.exportPollInterval, using default: 10000');
+  }
+  
+  if (isNaN(config.gladly.exportTimeout) || config.gladly.exportTimeout < 1) {
+    config.gladly.exportTimeout = 1800000;
+    logger.warn('Invalid gladly.exportTimeout, using default: 1800000');
+  }
+  
+  if (isNaN(config.gladly.maxMergeHops) || config.gladly.maxMergeHops < 0) {
+    config.gladly.maxMergeHops = 5;
+    logger.warn('Invalid gladly.maxMergeHops, using default: 5');
+  }
+  
+  if (isNaN(config.customerCacheTtl) || config.customerCacheTtl < 1) {
+    config.customerCacheTtl = 86400000;
+    logger.warn('Invalid customerCacheTtl, using default: 86400000');
+  }
+  
+  if (isNaN(config.reportRetention) || config.reportRetention < 1) {
+    config.reportRetention = 1000;
+    logger.warn('Invalid reportRetention, using default: 1000');
+  }
+  
   if (isNaN(config.retryDelay) || config.retryDelay < 0) {
     config.retryDelay = 5000;
     logger.warn('Invalid retryDelay, using default: 5000');
   }
   
+  if (isNaN(config.maxRetryDelay) || config.maxRetryDelay < config.retryDelay) {
+    config.maxRetryDelay = Math.max(60000, config.retryDelay);
+    logger.warn(`Invalid maxRetryDelay, using default: ${config.maxRetryDelay}`);
+  }
+  
+  if (isNaN(config.requestTimeout) || config.requestTimeout < 1) {
+    config.requestTimeout = 30000;
+    logger.warn('Invalid requestTimeout, using default: 30000');
+  }
+  
+  if (!Transformer.GRANULARITIES.includes(config.granularity)) {
+    config.granularity = 'conversation';
+    logger.warn(`Invalid granularity, using default: conversation (expected one of: ${Transformer.GRANULARITIES.join(', ')})`);
+  }
+  
+  validateStateConfig(config);
+  validateScheduleConfig(config.schedule);
+  validateWebhookConfig(config.webhook);
+  validateLoggingConfig(config.logging);
+  validateFilterConfig(config.filters);
+  
+  if (isNaN(config.metrics.port) || config.metrics.port < 0 || config.metrics.port > 65535) {
+    config.metrics.port = 9464;
+    logger.warn('Invalid metrics.port, using default: 9464');
+  }
+  
   return config;
 }
 
+/**
+ * List the tenants defined in a config file
+ * 
+ * @param {string} configPath Path to the JSON config file
+ * @returns {Array} Tenant names, empty when the file defines none
+ */
+async function listTenants(configPath) {
+  try {
+    const fileConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    return Object.keys(fileConfig.tenants || {});
+  } catch (error) {
+    throw new Error(`Failed to read tenants from ${configPath}: ${error.message}`);
+  }
+}
+
+function mergeConfig(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    gladly: {
+      ...base.gladly,
+      ...(overrides.gladly || {})
+    },
+    enterpret: {
+      ...base.enterpret,
+      ...(overrides.enterpret || {})
+    },
+    redaction: {
+      ...base.redaction,
+      ...(overrides.redaction || {})
+    },
+    state: mergeStateConfig(base.state, overrides.state || {}),
+    schedule: mergeScheduleConfig(base.schedule, overrides.schedule || {}),
+    webhook: {
+      ...base.webhook,
+      ...(overrides.webhook || {})
+    },
+    metrics: {
+      ...base.metrics,
+      ...(overrides.metrics || {})
+    },
+    filters: {
+      ...base.filters,
+      ...(overrides.filters || {})
+    },
+    logging: {
+      ...base.logging,
+      ...(overrides.logging || {}),
+      syslog: {
+        ...base.logging.syslog,
+        ...((overrides.logging && overrides.logging.syslog) || {})
+      }
+    }
+  };
+}
+
+// FILTER_INBOXES=a,b -> ['a', 'b']
+function listFromEnv(name) {
+  return process.env[name] ? process.env[name].split(',').map(value => value.trim()).filter(Boolean) : [];
+}
+
+// A cron expression or interval set by the override replaces the base's, whichever kind it was
+function mergeScheduleConfig(base, overrides) {
+  if (overrides.cron || overrides.interval) {
+    const { cron, interval, ...rest } = base;
+    return { ...rest, ...overrides };
+  }
+  return { ...base, ...overrides };
+}
+
+/**
+ * Build one tenant's config from the shared settings and its own section
+ * 
+ * The tenant section can override any top-level setting; `mapping` is
+ * merged key by key over the shared mapping. Anything the tenant keeps
+ * per Gladly org (state, dead-letter queue, customer cache, webhook queue)
+ * is namespaced by the tenant name unless the tenant sets its own location,
+ * so tenants sharing a config never share state.
+ * 
+ * @param {Object} config Merged top-level config
+ * @param {string} name Tenant name
+ * @returns {Object} Tenant config
+ * @throws {Error} If the tenant is not defined
+ */
+function resolveTenant(config, name) {
+  const tenants = config.tenants || {};
+  const overrides = tenants[name];
+  
+  if (!overrides) {
+    const known = Object.keys(tenants);
+    throw new Error(`Unknown tenant "${name}"; ${known.length > 0 ? `configured tenants: ${known.join(', ')}` : 'the config defines no tenants'}`);
+  }
+  
+  const { tenants: omitted, ...shared } = config;
+  const tenant = mergeConfig(shared, overrides);
+  tenant.tenant = name;
+  tenant.mapping = mergeMappings(shared.mapping || {}, overrides.mapping || {});
+  
+  const ownState = overrides.state || {};
+  const state = tenant.state;
+  
+  if (!overrides.stateFilePath && !(ownState.file && ownState.file.path)) {
+    state.file.path = tenantPath(state.file.path || shared.stateFilePath, name);
+  }
+  if (!(ownState.sqlite && ownState.sqlite.key)) {
+    state.sqlite.key = `${state.sqlite.key}:${name}`;
+  }
+  if (!(ownState.s3 && ownState.s3.key)) {
+    state.s3.key = tenantPath(state.s3.key, name, path.posix);
+  }
+  if (!(ownState.redis && ownState.redis.key)) {
+    state.redis.key = `${state.redis.key}:${name}`;
+  }
+  
+  if (!overrides.deadLetterPath) {
+    tenant.deadLetterPath = path.join(shared.deadLetterPath, name);
+  }
+  if (!overrides.reportPath) {
+    tenant.reportPath = path.join(shared.reportPath, name);
+  }
+  if (shared.customerCachePath && !overrides.customerCachePath) {
+    tenant.customerCachePath = tenantPath(shared.customerCachePath, name);
+  }
+  if (!(overrides.webhook && overrides.webhook.queuePath)) {
+    tenant.webhook.queuePath = path.join(shared.webhook.queuePath, name);
+  }
+  
+  return tenant;
+}
+
+// ./data/import-state.json -> ./data/<tenant>/import-state.json
+function tenantPath(filePath, name, paths = path) {
+  return paths.join(paths.dirname(filePath), name, paths.basename(filePath));
+}
+
+function mergeStateConfig(defaults, overrides) {
+  const merged = { ...defaults, ...overrides };
+  for (const backend of BACKENDS) {
+    merged[backend] = { ...defaults[backend], ...(overrides[backend] || {}) };
+  }
+  return merged;
+}
+
+function validateStateConfig(config) {
+  const state = config.state;
+  
+  if (!BACKENDS.includes(state.backend)) {
+    throw new Error(`Unknown state backend "${state.backend}"; use one of: ${BACKENDS.join(', ')}`);
+  }
+  
+  // The top-level stateFilePath predates the state section and still names the file
+  state.file.path = state.file.path || config.stateFilePath;
+  
+  if (state.backend === 's3' && !state.s3.bucket) {
+    throw new Error('state.s3.bucket or STATE_S3_BUCKET is required for the s3 state backend');
+  }
+  
+  if (isNaN(state.lockTtl) || state.lockTtl < 1000) {
+    state.lockTtl = 600000;
+    logger.warn('Invalid state.lockTtl, using default: 600000');
+  }
+  
+  // Shorter than a day would forget conversations between ordinary runs
+  if (isNaN(state.retention) || state.retention < 86400000) {
+    state.retention = 2592000000;
+    logger.warn('Invalid state.retention, using default: 2592000000 (30 days)');
+  }
+  
+  if (isNaN(state.maxFailedAttempts) || state.maxFailedAttempts < 1) {
+    state.maxFailedAttempts = 5;
+    logger.warn('Invalid state.maxFailedAttempts, using default: 5');
+  }
+}
+
+function validateScheduleConfig(schedule) {
+  if (schedule.interval !== undefined && (isNaN(schedule.interval) || schedule.interval < 1000)) {
+    logger.warn('Invalid schedule.interval, ignoring it (expected at least 1000 ms)');
+    delete schedule.interval;
+  }
+  
+  if (isNaN(schedule.backoff) || schedule.backoff < 0) {
+    schedule.backoff = 60000;
+    logger.warn('Invalid schedule.backoff, using default: 60000');
+  }
+  
+  if (isNaN(schedule.maxBackoff) || schedule.maxBackoff < schedule.backoff) {
+    schedule.maxBackoff = Math.max(3600000, schedule.backoff);
+    logger.warn(`Invalid schedule.maxBackoff, using default: ${schedule.maxBackoff}`);
+  }
+}
+
+function validateLoggingConfig(logging) {
+  if (!logger.FORMATS.includes(logging.format)) {
+    logger.warn(`Invalid logging.format, using default: text (expected one of: ${logger.FORMATS.join(', ')})`);
+    logging.format = 'text';
+  }
+  
+  const destinations = Array.isArray(logging.destinations) ? logging.destinations : [logging.destinations];
+  const unknown = destinations.filter(destination => !logger.DESTINATIONS.includes(destination));
+  if (unknown.length > 0) {
+    logger.warn(`Ignoring unknown logging.destinations: ${unknown.join(', ')} (expected any of: ${logger.DESTINATIONS.join(', ')})`);
+  }
+  
+  logging.destinations = destinations.filter(destination => logger.DESTINATIONS.includes(destination));
+  if (logging.destinations.length === 0) {
+    logging.destinations = ['stdout'];
+    logger.warn('No valid logging.destinations, using default: stdout');
+  }
+}
+
+function validateFilterConfig(filters) {
+  for (const key of ['inboxes', 'excludeInboxes', 'channels', 'excludeChannels', 'topics', 'excludeTopics', 'statuses', 'excludeStatuses']) {
+    if (typeof filters[key] === 'string') {
+      filters[key] = filters[key].split(',').map(value => value.trim()).filter(Boolean);
+    } else if (!Array.isArray(filters[key])) {
+      filters[key] = [];
+      logger.warn(`Invalid filters.${key}, expected a list; ignoring it`);
+    }
+  }
+  
+  for (const key of ['customAttributes', 'excludeCustomAttributes']) {
+    if (!filters[key] || typeof filters[key] !== 'object' || Array.isArray(filters[key])) {
+      filters[key] = {};
+      logger.warn(`Invalid filters.${key}, expected an object of attribute id to values; ignoring it`);
+    }
+  }
+  
+  if (isNaN(filters.minCustomerMessages) || filters.minCustomerMessages < 0) {
+    filters.minCustomerMessages = 0;
+    logger.warn('Invalid filters.minCustomerMessages, using default: 0');
+  }
+}
+
+function validateWebhookConfig(webhook) {
+  if (isNaN(webhook.port) || webhook.port < 0 || webhook.port > 65535) {
+    webhook.port = 8080;
+    logger.warn('Invalid webhook.port, using default: 8080');
+  }
+  
+  if (!webhook.path || !webhook.path.startsWith('/')) {
+    webhook.path = '/webhooks/gladly';
+    logger.warn('Invalid webhook.path, using default: /webhooks/gladly');
+  }
+  webhook.path = webhook.path.length > 1 && webhook.path.endsWith('/') ? webhook.path.slice(0, -1) : webhook.path;
+  webhook.signatureHeader = (webhook.signatureHeader || 'x-gladly-signature').toLowerCase();
+  
+  if (isNaN(webhook.debounce) || webhook.debounce < 0) {
+    webhook.debounce = 30000;
+    logger.warn('Invalid webhook.debounce, using default: 30000');
+  }
+  
+  if (isNaN(webhook.maxDelay) || webhook.maxDelay < webhook.debounce) {
+    webhook.maxDelay = Math.max(300000, webhook.debounce);
+    logger.warn(`Invalid webhook.maxDelay, using default: ${webhook.maxDelay}`);
+  }
+  
+  if (isNaN(webhook.retryDelay) || webhook.retryDelay < 1000) {
+    webhook.retryDelay = 60000;
+    logger.warn('Invalid webhook.retryDelay, using default: 60000');
+  }
+}
+
+function validateApiLimits(apiConfig, name, defaultMaxConcurrent, defaultRequestsPerSecond) {
+  if (isNaN(apiConfig.maxConcurrent) || apiConfig.maxConcurrent < 1) {
+    apiConfig.maxConcurrent = defaultMaxConcurrent;
+    logger.warn(`Invalid ${name}.maxConcurrent, using default: ${defaultMaxConcurrent}`);
+  }
+  
+  if (isNaN(apiConfig.requestsPerSecond) || apiConfig.requestsPerSecond <= 0) {
+    apiConfig.requestsPerSecond = defaultRequestsPerSecond;
+    logger.warn(`Invalid ${name}.requestsPerSecond, using default: ${defaultRequestsPerSecond}`);
+  }
+}
+
 function normalizeUrl(url) {
   if (!url) return url;
   return url.endsWith('/') ? url.slice(0, -1) : url;
 }
 
 module.exports = {
-  loadConfig
+  loadConfig,
+  listTenants
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Decides which conversations are imported, from the filters config
+ * 
+ * A conversation filtered out gets the reason: inbox, status, topic,
+ * custom_attribute, channel or customer_messages.
+ * 
+ * Each filter has an include list (empty: everything) and an exclude list.
+ * Inbox, status, topic and custom attribute filters only need the
+ * conversation, so they run before its items are fetched; channel and
+ * customer message filters run once the items are there.
+ */
+class ConversationFilter {
+  /**
+   * Create a new conversation filter
+   * 
+   * @param {Object} [filters] Filters config
+   * @param {Array} [filters.inboxes] Only import these inbox ids
+   * @param {Array} [filters.excludeInboxes] Never import these inbox ids
+   * @param {Array} [filters.channels] Only import conversations where the customer wrote on one of these channels
+   * @param {Array} [filters.excludeChannels] Never import conversations where the customer wrote on one of these channels
+   * @param {Array} [filters.topics] Only import conversations with one of these topic ids or names
+   * @param {Array} [filters.excludeTopics] Never import conversations with one of these topic ids or names
+   * @param {Array} [filters.statuses] Only import conversations with one of these statuses
+   * @param {Array} [filters.excludeStatuses] Never import conversations with one of these statuses
+   * @param {number} [filters.minCustomerMessages] Only import conversations with at least this many customer messages
+   * @param {Object} [filters.customAttributes] Attribute id -> values, one of which the conversation must have
+   * @param {Object} [filters.excludeCustomAttributes] Attribute id -> values the conversation must not have
+   * @param {Object} [channelMap] Gladly item type -> channel, as the transformer maps them
+   */
+  constructor(filters = {}, channelMap = {}) {
+    this.inboxes = toSet(filters.inboxes);
+    this.excludeInboxes = toSet(filters.excludeInboxes);
+    this.channels = toSet(filters.channels, true);
+    this.excludeChannels = toSet(filters.excludeChannels, true);
+    this.topics = toSet(filters.topics, true);
+    this.excludeTopics = toSet(filters.excludeTopics, true);
+    this.statuses = toSet(filters.statuses, true);
+    this.excludeStatuses = toSet(filters.excludeStatuses, true);
+    this.minCustomerMessages = filters.minCustomerMessages || 0;
+    this.customAttributes = toSets(filters.customAttributes);
+    this.excludeCustomAttributes = toSets(filters.excludeCustomAttributes);
+    this.channelMap = channelMap;
+    this.topicNames = new Map();
+  }
+
+  /**
+   * Use the topic list (see GladlyClient#loadLookups) so topics can be
+   * filtered by name
+   * 
+   * @param {Object} lookups topics, agents and inboxes as Maps of id to object
+   */
+  setLookups(lookups) {
+    this.topicNames = new Map([...lookups.topics].map(([id, topic]) => [id, String(topic.name || '').toLowerCase()]));
+  }
+
+  /**
+   * Check the filters that only need the conversation
+   * 
+   * @param {Object} conversation Gladly conversation
+   * @returns {string|null} Why the conversation is filtered out, or null to import it
+   */
+  check(conversation) {
+    if (!matches(this.inboxes, this.excludeInboxes, [conversation.inboxId])) {
+      return 'inbox';
+    }
+    
+    if (!matches(this.statuses, this.excludeStatuses, [String(conversation.status || '').toLowerCase()])) {
+      return 'status';
+    }
+    
+    // A topic matches by id or by name
+    const topics = (conversation.topicIds || []).flatMap(topicId => [topicId.toLowerCase(), this.topicNames.get(topicId)]);
+    if (!matches(this.topics, this.excludeTopics, topics.filter(Boolean))) {
+      return 'topic';
+    }
+    
+    const attributes = new Map((conversation.customAttributes || []).map(attr => [attr.id, String(attr.value)]));
+    for (const [id, values] of this.customAttributes) {
+      if (!values.has(attributes.get(id))) return 'custom_attribute';
+    }
+    for (const [id, values] of this.excludeCustomAttributes) {
+      if (values.has(attributes.get(id))) return 'custom_attribute';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check the filters that need the conversation's items
+   * 
+   * @param {Array} items Gladly conversation items
+   * @returns {string|null} Why the conversation is filtered out, or null to import it
+   */
+  checkItems(items) {
+    // Customer activity (page views and the like) is not a message
+    const messages = items.filter(item => item.initiator && item.initiator.type === 'CUSTOMER'
+      && item.content && item.content.type !== 'CUSTOMER_ACTIVITY');
+    
+    const channels = messages.map(item => this.channelMap[item.content.type] || 'other');
+    if (!matches(this.channels, this.excludeChannels, channels)) {
+      return 'channel';
+    }
+    
+    if (messages.length < this.minCustomerMessages) {
+      return 'customer_messages';
+    }
+    
+    return null;
+  }
+}
+
+// Included when the include list is empty or has one of the values, and the exclude list has none of them
+function matches(include, exclude, values) {
+  if (include.size > 0 && !values.some(value => include.has(value))) {
+    return false;
+  }
+  return !values.some(value => exclude.has(value));
+}
+
+function toSet(values, lowerCase = false) {
+  return new Set((values || []).map(value => (lowerCase ? String(value).toLowerCase() : String(value))));
+}
+
+function toSets(valuesById) {
+  return new Map(Object.entries(valuesById || {}).map(([id, values]) => [id, toSet(Array.isArray(values) ? values : [values])]));
+}
+
+module.exports = ConversationFilter;
\ No newline at end of file
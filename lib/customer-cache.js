@@ -0,0 +1,141 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Cache of Gladly customer profiles
+ * 
+ * Each run gets its own cache so a customer with many conversations is only
+ * fetched once. With a file path the cache is also kept between runs, and
+ * entries older than the TTL are fetched again. Concurrent lookups of the
+ * same customer share one request.
+ */
+class CustomerCache {
+  /**
+   * Create a new customer cache
+   * 
+   * @param {Object} [options] Cache options
+   * @param {string} [options.filePath] File to keep the cache in between runs; in-memory only when not set
+   * @param {number} [options.ttl] Milliseconds a persisted profile stays valid (default: 1 day)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.ttl = options.ttl || 86400000;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.stats = {
+      hits: 0,
+      misses: 0
+    };
+  }
+
+  /**
+   * Load persisted profiles that have not expired
+   */
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable customer cache ${this.filePath}: ${error.message}`);
+      }
+      return;
+    }
+    
+    for (const [customerId, entry] of Object.entries(data.entries || {})) {
+      if (!this._isExpired(entry)) {
+        this.entries.set(customerId, entry);
+      }
+    }
+    
+    logger.debug(`Loaded ${this.entries.size} cached customer profiles from ${this.filePath}`);
+  }
+
+  /**
+   * Get a customer profile from the cache, fetching it on a miss
+   * 
+   * The profile is cached under the requested id and, after a merge, under
+   * the id it was merged into as well.
+   * 
+   * @param {string} customerId Gladly customer ID
+   * @param {Function} fetch Called with (customerId) to fetch the profile on a miss
+   * @returns {Object} Customer profile
+   */
+  async get(customerId, fetch) {
+    const entry = this.entries.get(customerId);
+    if (entry && !this._isExpired(entry)) {
+      this.stats.hits++;
+      return entry.customer;
+    }
+    
+    if (this.inFlight.has(customerId)) {
+      this.stats.hits++;
+      return this.inFlight.get(customerId);
+    }
+    
+    this.stats.misses++;
+    const request = Promise.resolve(fetch(customerId)).then(customer => {
+      const fetched = { customer, fetchedAt: new Date().toISOString() };
+      this.entries.set(customerId, fetched);
+      if (customer && customer.id && customer.id !== customerId) {
+        // The surviving profile itself was not merged from anything
+        const { mergedFromIds, ...survivor } = customer;
+        this.entries.set(customer.id, { customer: survivor, fetchedAt: fetched.fetchedAt });
+      }
+      return customer;
+    });
+    
+    this.inFlight.set(customerId, request);
+    try {
+      return await request;
+    } finally {
+      this.inFlight.delete(customerId);
+    }
+  }
+
+  /**
+   * Drop a cached profile so the next lookup fetches it again
+   * 
+   * @param {string} customerId Gladly customer ID
+   */
+  invalidate(customerId) {
+    this.entries.delete(customerId);
+  }
+
+  /**
+   * Write the cache to its file, if it has one
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+    
+    const entries = {};
+    for (const [customerId, entry] of this.entries) {
+      if (!this._isExpired(entry)) {
+        entries[customerId] = entry;
+      }
+    }
+    
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ entries }), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+      logger.debug(`Saved ${Object.keys(entries).length} customer profiles to ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Failed to save customer cache: ${error.message}`);
+    }
+  }
+
+  _isExpired(entry) {
+    return !entry.fetchedAt || Date.now() - new Date(entry.fetchedAt).getTime() > this.ttl;
+  }
+}
+
+module.exports = CustomerCache;
\ No newline at end of file
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Local store for conversations that failed to import
+ * 
+ * Each failed conversation is kept as one JSON file named after its id,
+ * holding the raw Gladly payload, the transformed record when there is one,
+ * the error, the stage that failed and how many attempts were made.
+ * Entries are written to a temporary file and renamed into place, so a
+ * crash mid-write never truncates an entry that was already queued.
+ */
+class DeadLetterQueue {
+  /**
+   * Create a new dead-letter queue
+   * 
+   * @param {string} directory Directory holding the dead-letter entries
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Add a failed conversation, or update its entry if it failed before
+   * 
+   * @param {Object} failure Failure details
+   * @param {string} failure.stage Stage that failed (fetch_items, fetch_customer, transform, post)
+   * @param {Error} failure.error The error that made the conversation fail
+   * @param {Object} failure.conversation Raw Gladly conversation
+   * @param {Array} [failure.items] Raw Gladly conversation items, if fetched
+   * @param {Object} [failure.customer] Raw Gladly customer profile, if fetched
+   * @param {Object} [failure.transformed] Transformed record, if the transform succeeded
+   * @returns {Object} The stored entry
+   */
+  async add(failure) {
+    const conversationId = failure.conversation.id;
+    const previous = await this.get(conversationId);
+    const now = new Date().toISOString();
+    
+    const entry = {
+      id: conversationId,
+      stage: failure.stage,
+      error: {
+        message: failure.error.message,
+        status: failure.error.status || null
+      },
+      attempts: previous ? previous.attempts + 1 : 1,
+      firstFailedAt: previous ? previous.firstFailedAt : now,
+      lastFailedAt: now,
+      conversation: failure.conversation,
+      items: failure.items || null,
+      customer: failure.customer || null,
+      transformed: failure.transformed || null
+    };
+    
+    try {
+      await this._writeAtomic(this._entryPath(conversationId), JSON.stringify(entry, null, 2));
+      logger.debug(`Wrote dead-letter entry for conversation ${conversationId} (stage ${entry.stage}, attempt ${entry.attempts})`);
+    } catch (error) {
+      logger.error(`Failed to write dead-letter entry for ${conversationId}: ${error.message}`);
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Get a single dead-letter entry
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @returns {Object|null} The entry, or null if there is none
+   */
+  async get(conversationId) {
+    try {
+      const data = await fs.readFile(this._entryPath(conversationId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read dead-letter entry ${conversationId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * List all dead-letter entries, oldest failure first
+   * 
+   * @returns {Array} Dead-letter entries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read dead-letter directory: ${error.message}`);
+    }
+    
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const entry = await this.get(decodeURIComponent(path.basename(file, '.json')));
+      if (entry) entries.push(entry);
+    }
+    
+    return entries.sort((a, b) => new Date(a.firstFailedAt) - new Date(b.firstFailedAt));
+  }
+
+  /**
+   * Remove a dead-letter entry
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @returns {boolean} True if an entry was removed
+   */
+  async remove(conversationId) {
+    try {
+      await fs.unlink(this._entryPath(conversationId));
+      logger.debug(`Removed dead-letter entry for conversation ${conversationId}`);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to remove dead-letter entry ${conversationId}: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Remove the given entries, or every entry when no ids are given
+   * 
+   * @param {Array} [conversationIds] Gladly conversation IDs to purge
+   * @returns {number} Number of entries removed
+   */
+  async purge(conversationIds) {
+    const ids = conversationIds && conversationIds.length > 0
+      ? conversationIds
+      : (await this.list()).map(entry => entry.id);
+    
+    let removed = 0;
+    for (const id of ids) {
+      if (await this.remove(id)) removed++;
+    }
+    
+    logger.info(`Purged ${removed} dead-letter entries`);
+    return removed;
+  }
+
+  async _writeAtomic(filePath, data) {
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  _entryPath(conversationId) {
+    return path.join(this.directory, `${encodeURIComponent(conversationId)}.json`);
+  }
+}
+
+module.exports = DeadLetterQueue;
\ No newline at end of file
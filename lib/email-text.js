@@ -0,0 +1,141 @@
+/**
+ * Helpers for turning email bodies into clean text: HTML to plain text,
+ * and stripping quoted replies and signatures so only the new part of a
+ * message remains
+ */
+
+const ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“'
+};
+
+// Lines that start the quoted part of a reply; everything from here on is dropped
+const QUOTE_HEADERS = [
+  /^On\s.+\swrote:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+  /^_{10,}\s*$/,
+  /^From:\s.+$/i
+];
+
+// Lines that start a signature or client footer
+const SIGNATURE_MARKERS = [
+  /^--\s?$/,
+  /^Sent from my\s.+$/i,
+  /^Get Outlook for\s.+$/i
+];
+
+/**
+ * Convert an HTML email body to plain text
+ * 
+ * @param {string} html HTML body
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+  
+  const text = html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<blockquote[^>]*>[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|tr|h[1-6]|ul|ol|table)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => decodeEntity(match, entity));
+  
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodeEntity(match, entity) {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    // Left as written when not a valid code point, which fromCodePoint would throw on
+    return Number.isNaN(code) || code > 0x10FFFF ? match : String.fromCodePoint(code);
+  }
+  
+  const decoded = ENTITIES[entity.toLowerCase()];
+  return decoded !== undefined ? decoded : match;
+}
+
+/**
+ * Drop the quoted part of a reply: `>` lines and everything from a
+ * "On ... wrote:" or "Original Message" style header on
+ * 
+ * @param {string} text Plain text body
+ * @returns {string} Text without the quoted reply
+ */
+function stripQuotedReply(text) {
+  const lines = text.split('\n');
+  const kept = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    
+    // Some clients wrap "On <date>, <name>" and "wrote:" onto two lines
+    const joined = i + 1 < lines.length ? `${line} ${lines[i + 1].trim()}` : line;
+    if (QUOTE_HEADERS.some(pattern => pattern.test(line)) || /^On\s.+\swrote:\s*$/i.test(joined)) {
+      break;
+    }
+    
+    if (!line.startsWith('>')) {
+      kept.push(lines[i]);
+    }
+  }
+  
+  return kept.join('\n').trim();
+}
+
+/**
+ * Drop a signature introduced by the standard `-- ` delimiter and mobile or
+ * client footers such as "Sent from my iPhone"
+ * 
+ * @param {string} text Plain text body
+ * @returns {string} Text without the signature
+ */
+function stripSignature(text) {
+  const lines = text.split('\n');
+  const end = lines.findIndex(line => SIGNATURE_MARKERS.some(pattern => pattern.test(line.trim())));
+  
+  return (end === -1 ? lines : lines.slice(0, end)).join('\n').trim();
+}
+
+/**
+ * Clean text of an email body: plain text when available, converted HTML
+ * otherwise, without quoted replies or signature
+ * 
+ * @param {Object} email Gladly email item content
+ * @returns {string} Clean body text
+ */
+function cleanEmailBody(email) {
+  const plain = (email.bodyPlain || email.content || htmlToText(email.bodyHtml)).replace(/\r\n/g, '\n');
+  const cleaned = stripSignature(stripQuotedReply(plain));
+  
+  // A forward with nothing typed above it would otherwise come out empty
+  return cleaned || plain.trim();
+}
+
+module.exports = {
+  htmlToText,
+  stripQuotedReply,
+  stripSignature,
+  cleanEmailBody
+};
\ No newline at end of file
@@ -1,5 +1,12 @@
 const axios = require('axios');
 const logger = require('./logger');
+const RateLimiter = require('./rate-limiter');
+const { attachRetryPolicy } = require('./retry');
+const prometheus = require('./prometheus');
+
+// Posted records replace the record with the same id. Only that makes a
+// post safe to repeat after a timeout, so the two are never set apart.
+const UPSERT_POST = { params: { upsert: true }, idempotent: true };
 
 /**
  * Client for interacting with the Enterpret API
@@ -11,6 +18,13 @@ class EnterpretClient {
    * @param {Object} config Configuration options
    * @param {string} config.apiUrl Base URL for Enterpret API
    * @param {string} config.apiKey Enterpret API key
+   * @param {number} [config.maxRetries] Maximum number of retries for a failed request
+   * @param {number} [config.retryDelay] Base delay in milliseconds for exponential backoff
+   * @param {number} [config.maxRetryDelay] Maximum delay in milliseconds between retries
+   * @param {number} [config.timeout] Request timeout in milliseconds
+   * @param {number} [config.maxConcurrent] Maximum number of Enterpret requests in flight
+   * @param {number} [config.requestsPerSecond] Maximum number of Enterpret requests started per second
+   * @param {string} [config.lookupPath] Path of an endpoint returning one feedback record, with {id} standing for the record id
    */
   constructor(config) {
     this.config = config;
@@ -18,6 +32,7 @@ class EnterpretClient {
     
     this.client = axios.create({
       baseURL: this.baseUrl,
+      timeout: config.timeout || 30000,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
@@ -25,18 +40,35 @@ class EnterpretClient {
       }
     });
     
+    this.limiter = new RateLimiter({
+      maxConcurrent: config.maxConcurrent,
+      requestsPerSecond: config.requestsPerSecond
+    });
+    
+    this.client.interceptors.request.use(async requestConfig => {
+      await this.limiter.acquire();
+      return requestConfig;
+    });
+    
     this.client.interceptors.response.use(
-      response => response,
-      async error => {
-        if (error.response && error.response.status === 429) {
-          const retryAfter = error.response.headers['retry-after'] || 2;
-          logger.warn(`Rate limit hit. Retrying after ${retryAfter} seconds.`);
-          await this._delay(retryAfter * 1000);
-          return this.client(error.config);
-        }
+      response => {
+        this.limiter.release();
+        this._countPost(response.config, response.status);
+        return response;
+      },
+      error => {
+        this.limiter.release();
+        this._countPost(error.config, error.response ? error.response.status : null);
         return Promise.reject(error);
       }
     );
+    
+    attachRetryPolicy(this.client, {
+      name: 'Enterpret',
+      maxRetries: config.maxRetries,
+      retryDelay: config.retryDelay,
+      maxRetryDelay: config.maxRetryDelay
+    });
   }
 
   async validateConnection() {
@@ -49,9 +81,35 @@ class EnterpretClient {
     }
   }
 
+  /**
+   * Check whether Enterpret has a feedback record, using the lookup
+   * endpoint set in lookupPath
+   * 
+   * @param {string} recordId Feedback record id
+   * @returns {boolean} True if the record exists, false on a 404
+   */
+  async hasFeedback(recordId) {
+    if (!this.config.lookupPath) {
+      throw new Error('No Enterpret lookup endpoint configured (enterpret.lookupPath)');
+    }
+    
+    try {
+      await this.client.get(this.config.lookupPath.replace('{id}', encodeURIComponent(recordId)));
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw new Error(`Failed to look up feedback ${recordId}: ${error.message}`);
+    }
+  }
+
   /**
    * Import feedback data into Enterpret
    * 
+   * Records are upserted by id, so re-sending an updated conversation
+   * replaces its earlier record instead of adding a second one.
+   * 
    * @param {Object} feedbackData Transformed feedback data
    * @returns {Object} Import response
    */
@@ -59,7 +117,7 @@ class EnterpretClient {
     try {
       this._validateFeedbackData(feedbackData);
       
-      const response = await this.client.post('/api/v1/feedback', feedbackData);
+      const response = await this.client.post('/api/v1/feedback', feedbackData, UPSERT_POST);
       
       logger.debug(`Successfully imported feedback: ${feedbackData.id}`);
       return response.data;
@@ -70,7 +128,7 @@ class EnterpretClient {
   }
 
   /**
-   * Import multiple feedback records in batch
+   * Import multiple feedback records in batch, upserted by id like importFeedback
    * 
    * @param {Array} feedbackItems Array of feedback data objects
    * @returns {Object} Batch import response
@@ -83,13 +141,23 @@ class EnterpretClient {
       
       feedbackItems.forEach(item => this._validateFeedbackData(item));
       
-      const response = await this.client.post('/api/v1/feedback/batch', { items: feedbackItems });
+      const response = await this.client.post('/api/v1/feedback/batch', { items: feedbackItems }, UPSERT_POST);
       
       logger.debug(`Successfully imported batch of ${feedbackItems.length} feedback items`);
       return response.data;
     } catch (error) {
       logger.error(`Error importing feedback batch: ${error.message}`);
-      throw new Error(`Failed to import feedback batch: ${error.message}`);
+      const batchError = new Error(`Failed to import feedback batch: ${error.message}`);
+      batchError.status = error.response ? error.response.status : undefined;
+      batchError.invalid = !error.isAxiosError;
+      throw batchError;
+    }
+  }
+
+  // Every attempt counts, so retried posts show up once per status they got
+  _countPost(requestConfig, status) {
+    if (requestConfig && (requestConfig.method || '').toLowerCase() === 'post') {
+      prometheus.countEnterpretPost(status);
     }
   }
 
@@ -116,10 +184,6 @@ class EnterpretClient {
       throw new Error('Feedback data must have either content or metadata');
     }
   }
-
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = EnterpretClient;
\ No newline at end of file
@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createLock, lockedError, isExpired } = require('./state-store');
+
+/**
+ * State store backed by a local JSON file
+ * 
+ * Writes go to a temporary file that is flushed and then renamed over the
+ * state file, so a crash mid-write leaves the previous state intact. The
+ * lock is a `<file>.lock` file, written in full to a temporary file and
+ * then hard-linked into place, which fails if the lock file exists; other
+ * processes never see a half-written lock.
+ */
+class FileStateStore {
+  /**
+   * Create a new file state store
+   * 
+   * @param {Object} options Store options
+   * @param {string} options.path Path to the state file
+   */
+  constructor(options = {}) {
+    this.filePath = options.path || './import-state.json';
+    this.lockPath = `${this.filePath}.lock`;
+    this.heldLock = null;
+  }
+
+  async read() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read state file ${this.filePath}: ${error.message}`);
+    }
+    
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`State file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  async write(state) {
+    await this._writeAtomic(this.filePath, JSON.stringify(state, null, 2));
+  }
+
+  async remove() {
+    await this._unlink(this.filePath);
+  }
+
+  async lock(ttl) {
+    const lock = createLock(ttl);
+    const tempPath = `${this.lockPath}.${lock.token}.tmp`;
+    
+    try {
+      await this._writeFile(tempPath, JSON.stringify(lock));
+      
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.link(tempPath, this.lockPath);
+          this.heldLock = lock;
+          return;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw new Error(`Failed to create lock file ${this.lockPath}: ${error.message}`);
+          }
+        }
+        
+        const existing = await this._readLock();
+        if (existing && !isExpired(existing)) {
+          throw lockedError(existing);
+        }
+        
+        // Left behind by a process that died without unlocking
+        if (existing) {
+          await this._removeExpiredLock(existing);
+        }
+      }
+      
+      throw new Error(`Failed to take lock file ${this.lockPath}`);
+    } finally {
+      await this._unlink(tempPath);
+    }
+  }
+
+  async refreshLock(ttl) {
+    const existing = await this._readLock();
+    if (!this.heldLock || !existing || existing.token !== this.heldLock.token) {
+      throw new Error('State lock was lost');
+    }
+    
+    this.heldLock.expiresAt = new Date(Date.now() + ttl).toISOString();
+    await this._writeAtomic(this.lockPath, JSON.stringify(this.heldLock));
+  }
+
+  async unlock() {
+    const existing = await this._readLock().catch(() => null);
+    if (this.heldLock && existing && existing.token === this.heldLock.token) {
+      await this._unlink(this.lockPath);
+    }
+    this.heldLock = null;
+  }
+
+  async close() {
+  }
+
+  /**
+   * Read the lock file
+   * 
+   * @param {string} [filePath] Lock file to read (default: the lock path)
+   * @returns {Object|null} The lock, or null if there is no lock file
+   * @throws {Error} If the lock file cannot be parsed; it is never treated as expired
+   */
+  async _readLock(filePath = this.lockPath) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read lock file ${filePath}: ${error.message}`);
+    }
+    
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Lock file ${filePath} is not valid JSON; delete it if no import is running`);
+    }
+  }
+
+  /**
+   * Remove an expired lock, but only if it is still the one that was checked
+   * 
+   * The lock file is first renamed to a name only this process uses, so two
+   * processes taking over the same expired lock cannot delete each other's
+   * new lock. If what was renamed turns out to be a newer lock, it is put back.
+   * 
+   * @param {Object} expired The expired lock as read before
+   */
+  async _removeExpiredLock(expired) {
+    const claimedPath = `${this.lockPath}.${crypto.randomBytes(8).toString('hex')}.stale`;
+    
+    try {
+      await fs.rename(this.lockPath, claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Failed to remove expired lock file ${this.lockPath}: ${error.message}`);
+    }
+    
+    try {
+      const claimed = await this._readLock(claimedPath).catch(() => null);
+      if (!claimed || claimed.token !== expired.token) {
+        // link fails if yet another process created a lock meanwhile; that one wins
+        await fs.link(claimedPath, this.lockPath).catch(() => {});
+      }
+    } finally {
+      await this._unlink(claimedPath);
+    }
+  }
+
+  async _writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await this._writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Write and flush a file, creating its directory
+  async _writeFile(filePath, data) {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    
+    const handle = await fs.open(filePath, 'w');
+    try {
+      await handle.writeFile(data, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async _unlink(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = FileStateStore;
\ No newline at end of file
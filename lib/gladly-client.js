@@ -1,5 +1,8 @@
 const axios = require('axios');
+const readline = require('readline');
 const logger = require('./logger');
+const RateLimiter = require('./rate-limiter');
+const { attachRetryPolicy } = require('./retry');
 
 class GladlyClient {
   /**
@@ -9,13 +12,25 @@ class GladlyClient {
    * @param {string} config.apiUrl Base URL for Gladly API
    * @param {string} config.username Gladly API username (email)
    * @param {string} config.apiToken Gladly API token
+   * @param {number} [config.maxRetries] Maximum number of retries for a failed request
+   * @param {number} [config.retryDelay] Base delay in milliseconds for exponential backoff
+   * @param {number} [config.maxRetryDelay] Maximum delay in milliseconds between retries
+   * @param {number} [config.timeout] Request timeout in milliseconds
+   * @param {number} [config.maxConcurrent] Maximum number of Gladly requests in flight
+   * @param {number} [config.requestsPerSecond] Maximum number of Gladly requests started per second
+   * @param {number} [config.exportPollInterval] Milliseconds between export job status checks
+   * @param {number} [config.exportTimeout] Milliseconds to wait for an export job to complete
+   * @param {number} [config.maxMergeHops] Maximum number of customer merge redirects to follow (default: 5)
    */
   constructor(config) {
     this.config = config;
     this.baseUrl = config.apiUrl;
+    this.lookups = null;
+    this.lookupsLoadedAt = 0;
     
     this.client = axios.create({
       baseURL: this.baseUrl,
+      timeout: config.timeout || 30000,
       auth: {
         username: config.username,
         password: config.apiToken
@@ -26,18 +41,33 @@ class GladlyClient {
       }
     });
     
+    this.limiter = new RateLimiter({
+      maxConcurrent: config.maxConcurrent,
+      requestsPerSecond: config.requestsPerSecond
+    });
+    
+    this.client.interceptors.request.use(async requestConfig => {
+      await this.limiter.acquire();
+      return requestConfig;
+    });
+    
     this.client.interceptors.response.use(
-      response => response,
-      async error => {
-        if (error.response && error.response.status === 429) {
-          const retryAfter = error.response.headers['retry-after'] || 2;
-          logger.warn(`Rate limit hit. Retrying after ${retryAfter} seconds.`);
-          await this._delay(retryAfter * 1000);
-          return this.client(error.config);
-        }
+      response => {
+        this.limiter.release();
+        return response;
+      },
+      error => {
+        this.limiter.release();
         return Promise.reject(error);
       }
     );
+    
+    attachRetryPolicy(this.client, {
+      name: 'Gladly',
+      maxRetries: config.maxRetries,
+      retryDelay: config.retryDelay,
+      maxRetryDelay: config.maxRetryDelay
+    });
   }
 
   async validateConnection() {
@@ -51,83 +81,172 @@ class GladlyClient {
   }
 
   /**
-   * Fetch conversations with optional filtering
+   * Stream conversations for a time window using a Gladly export job
+   * 
+   * Creates a CONVERSATIONS export job for the window, waits for it to
+   * complete, then streams every conversations file it produced line by
+   * line, yielding only the conversations whose timestamps fall inside the
+   * window. A conversation that got items inside the window is yielded too,
+   * even when its own timestamps did not move: the items files are read
+   * first, keeping only the ids of those conversations.
    * 
    * @param {Object} options Options for fetching conversations
-   * @param {string} options.startDate Start date (ISO 8601)
-   * @param {string} options.endDate End date (ISO 8601)
-   * @param {number} options.page Page number
-   * @param {number} options.pageSize Number of items per page
-   * @returns {Object} Object containing conversations and pagination info
+   * @param {string} options.startDate Start date (ISO 8601, inclusive)
+   * @param {string} options.endDate End date (ISO 8601, exclusive)
+   * @param {Function} [options.shouldStop] Checked between export job polls and file lines; ends the stream early once it returns true
+   * @yields {Object} Gladly conversation
    */
-  async fetchConversations(options) {
+  async *streamConversations(options) {
+    const shouldStop = options.shouldStop || (() => false);
+    
     try {
-      // Implement a custom endpoint to get conversations by date
-      // Note: This is a simplified approach - in practice we will need 
-      // to use a combination of endpoints or export API
-      
-      const params = {
-        startAt: options.startDate,
-        endAt: options.endDate
-      };
-      
-      // For pagination simulation - in practice we will use Gladly's pagination mechanism
-      const offset = (options.page - 1) * options.pageSize;
-      params.offset = offset;
-      params.limit = options.pageSize;
-      
-      // In practice we'd use the export API endpoint for larger datasets
-      // This is a simplified approach using the conversations endpoint
-      // GET /api/v1/export/jobs with appropriate parameters would be better for large imports
+      const job = await this.createExportJob(options.startDate, options.endDate);
+      const completedJob = await this.waitForExportJob(job.id, { shouldStop });
+      if (!completedJob) {
+        return;
+      }
       
-      const response = await this.client.get('/api/v1/export/jobs', { params });
+      const windowStart = new Date(options.startDate).getTime();
+      const windowEnd = new Date(options.endDate).getTime();
+      const files = completedJob.files || [];
+      const withNewItems = new Set();
+      let yielded = 0;
       
-      if (!response.data || !Array.isArray(response.data)) {
-        return { conversations: [], hasMore: false };
+      for (const file of files.filter(name => this._isItemsFile(name))) {
+        for await (const item of this._streamExportFile(job.id, file)) {
+          if (shouldStop()) {
+            logger.info(`Stop requested; abandoning export job ${job.id}`);
+            return;
+          }
+          if (item.conversationId && this._isItemInWindow(item, windowStart, windowEnd)) {
+            withNewItems.add(item.conversationId);
+          }
+        }
       }
       
-      const conversations = [];
-      for (const job of response.data) {
-        if (job.status === 'COMPLETED' && 
-            job.parameters && 
-            job.parameters.type === 'CONVERSATIONS') {
-          
-          // For each job, get the conversation data
-          // In practice, we will download the files from the job
-          const jobDetails = await this.client.get(`/api/v1/export/jobs/${job.id}`);
-          
-          if (jobDetails.data && jobDetails.data.files) {
-            for (const file of jobDetails.data.files) {
-              if (file.includes('conversation')) {
-                const fileData = await this.client.get(`/api/v1/export/jobs/${job.id}/files/${file}`);
-                
-                const lines = fileData.data.split('\n').filter(line => line.trim());
-                for (const line of lines) {
-                  try {
-                    const conversation = JSON.parse(line);
-                    conversations.push(conversation);
-                  } catch (e) {
-                    logger.error(`Failed to parse conversation data: ${e.message}`);
-                  }
-                }
-              }
-            }
+      for (const file of files) {
+        if (!this._isConversationsFile(file)) {
+          logger.debug(`Skipping export file ${file} for job ${job.id}`);
+          continue;
+        }
+        
+        for await (const conversation of this._streamExportFile(job.id, file)) {
+          if (this._isInWindow(conversation, windowStart, windowEnd) || withNewItems.has(conversation.id)) {
+            yielded++;
+            yield conversation;
           }
         }
       }
       
-      const hasMore = conversations.length >= options.pageSize;
-      
-      return {
-        conversations,
-        hasMore
-      };
+      logger.debug(`Export job ${job.id} returned ${yielded} conversations in window (${withNewItems.size} with new items)`);
     } catch (error) {
       logger.error(`Error fetching conversations: ${error.message}`);
       throw new Error(`Failed to fetch conversations: ${error.message}`);
     }
   }
 
+  /**
+   * Create a CONVERSATIONS export job for a time window
+   * 
+   * @param {string} startAt Start of the window (ISO 8601)
+   * @param {string} endAt End of the window (ISO 8601)
+   * @returns {Object} The created export job
+   */
+  async createExportJob(startAt, endAt) {
+    const response = await this.client.post('/api/v1/export/jobs', {
+      type: 'CONVERSATIONS',
+      startAt,
+      endAt
+    });
+    
+    if (!response.data || !response.data.id) {
+      throw new Error('Export job creation returned no job id');
+    }
+    
+    logger.info(`Created Gladly export job ${response.data.id} for ${startAt} to ${endAt}`);
+    return response.data;
+  }
+
+  /**
+   * Poll an export job until it completes, fails or the timeout is reached
+   * 
+   * @param {string} jobId Gladly export job ID
+   * @param {Object} [options] Options
+   * @param {Function} [options.shouldStop] Checked between polls; stop waiting once it returns true
+   * @returns {Object|null} The completed export job, or null if stopped
+   */
+  async waitForExportJob(jobId, { shouldStop = () => false } = {}) {
+    const pollInterval = this.config.exportPollInterval || 10000;
+    const timeout = this.config.exportTimeout || 1800000;
+    const deadline = Date.now() + timeout;
+    let lastStatus = null;
+    
+    while (true) {
+      const response = await this.client.get(`/api/v1/export/jobs/${jobId}`);
+      const job = response.data || {};
+      
+      if (job.status !== lastStatus) {
+        logger.info(`Export job ${jobId} status: ${job.status}`);
+        lastStatus = job.status;
+      }
+      
+      if (job.status === 'COMPLETED') {
+        return job;
+      }
+      
+      if (job.status === 'FAILED' || job.status === 'CANCELLED') {
+        throw new Error(`Export job ${jobId} finished with status ${job.status}`);
+      }
+      
+      if (Date.now() + pollInterval > deadline) {
+        throw new Error(`Export job ${jobId} did not complete within ${timeout}ms (last status: ${job.status})`);
+      }
+      
+      // Waited out in short steps so a stop is noticed within a second
+      for (const waitUntil = Date.now() + pollInterval; Date.now() < waitUntil;) {
+        if (shouldStop()) {
+          logger.info(`Stop requested; no longer waiting for export job ${jobId}`);
+          return null;
+        }
+        await this._delay(Math.min(1000, waitUntil - Date.now()));
+      }
+    }
+  }
+
+  /**
+   * Fetch a single conversation
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @returns {Object} Conversation data
+   */
+  async fetchConversation(conversationId) {
+    try {
+      const response = await this.client.get(`/api/v1/conversations/${conversationId}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching conversation ${conversationId}: ${error.message}`);
+      const fetchError = new Error(`Failed to fetch conversation: ${error.message}`);
+      fetchError.status = error.response ? error.response.status : undefined;
+      throw fetchError;
+    }
+  }
+
+  /**
+   * Fetch the conversations of a customer
+   * 
+   * @param {string} customerId Gladly customer ID
+   * @returns {Array} Conversations, newest first as Gladly returns them
+   */
+  async fetchCustomerConversations(customerId) {
+    try {
+      const response = await this.client.get(`/api/v1/customers/${customerId}/conversations`);
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      logger.error(`Error fetching conversations of customer ${customerId}: ${error.message}`);
+      throw new Error(`Failed to fetch customer conversations: ${error.message}`);
+    }
+  }
+
   /**
    * Fetch all items for a conversation
    * 
@@ -145,32 +264,161 @@ class GladlyClient {
       return response.data;
     } catch (error) {
       logger.error(`Error fetching conversation items for ${conversationId}: ${error.message}`);
-      throw new Error(`Failed to fetch conversation items: ${error.message}`);
+      const fetchError = new Error(`Failed to fetch conversation items: ${error.message}`);
+      fetchError.status = error.response ? error.response.status : undefined;
+      throw fetchError;
     }
   }
 
   /**
-   * Fetch customer details
+   * Fetch customer details, following merges
+   * 
+   * Gladly answers with a 301 pointing at the surviving profile when a
+   * customer was merged into another. Redirects are followed here rather
+   * than by axios so that chains are bounded by `maxMergeHops` and loops are
+   * detected. The ids merged away are returned in `mergedFromIds`.
    * 
    * @param {string} customerId Gladly customer ID
    * @returns {Object} Customer data
    */
   async fetchCustomer(customerId) {
+    const maxHops = this.config.maxMergeHops !== undefined ? this.config.maxMergeHops : 5;
+    const mergedFromIds = [];
+    let currentId = customerId;
+    
     try {
-      const response = await this.client.get(`/api/v1/customer-profiles/${customerId}`);
-      return response.data;
-    } catch (error) {
-      if (error.response && error.response.status === 301) {
-        const newId = error.response.headers.location.split('/').pop();
-        logger.info(`Customer ${customerId} has been merged into ${newId}. Fetching new ID.`);
-        return this.fetchCustomer(newId);
+      while (true) {
+        const response = await this.client.get(`/api/v1/customer-profiles/${currentId}`, {
+          maxRedirects: 0,
+          validateStatus: status => (status >= 200 && status < 300) || status === 301
+        });
+        
+        if (response.status !== 301) {
+          return mergedFromIds.length > 0 ? { ...response.data, mergedFromIds } : response.data;
+        }
+        
+        const location = response.headers.location;
+        if (!location) {
+          throw new Error(`merge redirect for ${currentId} has no Location header`);
+        }
+        
+        const nextId = location.split('?')[0].split('/').pop();
+        mergedFromIds.push(currentId);
+        
+        if (nextId === customerId || mergedFromIds.includes(nextId)) {
+          throw new Error(`merge chain ${[...mergedFromIds, nextId].join(' -> ')} loops`);
+        }
+        if (mergedFromIds.length > maxHops) {
+          throw new Error(`merge chain ${[...mergedFromIds, nextId].join(' -> ')} exceeds ${maxHops} hops`);
+        }
+        
+        logger.info(`Customer ${currentId} has been merged into ${nextId}. Fetching new ID.`);
+        currentId = nextId;
       }
-      
+    } catch (error) {
       logger.error(`Error fetching customer ${customerId}: ${error.message}`);
-      throw new Error(`Failed to fetch customer: ${error.message}`);
+      const fetchError = new Error(`Failed to fetch customer: ${error.message}`);
+      fetchError.status = error.response ? error.response.status : undefined;
+      throw fetchError;
+    }
+  }
+
+  /**
+   * Fetch topics, agents and inboxes from their list endpoints and cache
+   * them as maps by id; later calls reuse the cache unless refresh is set
+   * 
+   * A list that cannot be fetched is left empty, so its ids are sent as
+   * they are instead of failing the run.
+   * 
+   * @param {Object} [options] Options
+   * @param {boolean} [options.refresh] Fetch again even if cached
+   * @param {number} [options.maxAge] Fetch again if the cache is older than this many milliseconds
+   * @returns {Object} topics, agents and inboxes as Maps of id to object
+   */
+  async loadLookups({ refresh = false, maxAge } = {}) {
+    const expired = maxAge !== undefined && Date.now() - this.lookupsLoadedAt > maxAge;
+    
+    if (!this.lookups || refresh || expired) {
+      this.lookupsLoadedAt = Date.now();
+      this.lookups = Promise.all([
+        this._fetchList('/api/v1/topics', 'topics'),
+        this._fetchList('/api/v1/agents', 'agents'),
+        this._fetchList('/api/v1/inboxes', 'inboxes')
+      ]).then(([topics, agents, inboxes]) => {
+        logger.info(`Loaded ${topics.size} topics, ${agents.size} agents and ${inboxes.size} inboxes`);
+        return { topics, agents, inboxes };
+      });
     }
+    
+    return this.lookups;
+  }
+
+  async _fetchList(path, name) {
+    try {
+      const response = await this.client.get(path);
+      const list = Array.isArray(response.data) ? response.data : [];
+      return new Map(list.filter(entry => entry && entry.id).map(entry => [entry.id, entry]));
+    } catch (error) {
+      logger.warn(`Failed to fetch ${name}, sending ${name} ids instead of names: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Stream and parse one NDJSON export file line by line
+   * 
+   * @param {string} jobId Gladly export job ID
+   * @param {string} file File name within the job
+   * @yields {Object} Parsed record
+   */
+  async *_streamExportFile(jobId, file) {
+    const response = await this.client.get(`/api/v1/export/jobs/${jobId}/files/${file}`, {
+      responseType: 'stream'
+    });
+    
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+    
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        
+        try {
+          yield JSON.parse(line);
+        } catch (e) {
+          logger.error(`Failed to parse conversation data in ${file}: ${e.message}`);
+        }
+      }
+    } finally {
+      lines.close();
+      response.data.destroy();
+    }
+  }
+
+  _isConversationsFile(file) {
+    const name = file.split('/').pop();
+    return name.startsWith('conversations');
+  }
+
+  _isItemsFile(file) {
+    const name = file.split('/').pop();
+    return name.startsWith('conversation_items');
+  }
+
+  _isItemInWindow(item, windowStart, windowEnd) {
+    const time = new Date(item.timestamp).getTime();
+    return time >= windowStart && time < windowEnd;
   }
 
+  /**
+   * Check whether a conversation's latest activity falls in [start, end)
+   */
+  _isInWindow(conversation, windowStart, windowEnd) {
+    const timestamp = conversation.updatedAt || conversation.closedAt || conversation.createdAt;
+    if (!timestamp) return false;
+    
+    const time = new Date(timestamp).getTime();
+    return time >= windowStart && time < windowEnd;
+  }
 
   _delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
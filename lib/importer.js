@@ -1,101 +1,741 @@
+const crypto = require('crypto');
 const GladlyClient = require('./gladly-client');
 const EnterpretClient = require('./enterpret-client');
 const StateManager = require('./state-manager');
+const { createStateStore } = require('./state-store');
+const CustomerCache = require('./customer-cache');
+const DeadLetterQueue = require('./dead-letter-queue');
+const RunHistory = require('./run-history');
+const BatchSender = require('./batch-sender');
+const LocalSink = require('./local-sink');
+const { runWorkerPool } = require('./worker-pool');
 const Transformer = require('./transformer');
+const Redactor = require('./redactor');
+const ConversationFilter = require('./conversation-filter');
+const prometheus = require('./prometheus');
 const logger = require('./logger');
 
+// Stages a conversation goes through, as recorded in failures and run reports
+const STAGES = ['fetch_items', 'fetch_customer', 'transform', 'post'];
+
 class GladlyImporter {
   constructor(config) {
     this.config = config;
-    this.gladlyClient = new GladlyClient(config.gladly);
-    this.enterpretClient = new EnterpretClient(config.enterpret);
-    this.stateManager = new StateManager(config.stateFilePath || './import-state.json');
-    this.transformer = new Transformer();
+    const retryOptions = {
+      maxRetries: config.maxRetries,
+      retryDelay: config.retryDelay,
+      maxRetryDelay: config.maxRetryDelay,
+      timeout: config.requestTimeout
+    };
+    
+    this.gladlyClient = new GladlyClient({ ...retryOptions, ...config.gladly });
+    this.enterpretClient = new EnterpretClient({ ...retryOptions, ...config.enterpret });
+    this.stateManager = new StateManager(createStateStore(config.state), {
+      lockTtl: config.state.lockTtl,
+      retention: config.state.retention,
+      maxFailedAttempts: config.state.maxFailedAttempts
+    });
+    this.deadLetterQueue = new DeadLetterQueue(config.deadLetterPath || './data/dead-letter');
+    this.runHistory = new RunHistory(config.reportPath || './data/reports', { retention: config.reportRetention });
+    this.transformer = new Transformer(config.mapping, {
+      granularity: config.granularity,
+      includeContext: config.includeContext
+    });
+    this.redactor = new Redactor(config.redaction, config.mapping);
+    this.filter = new ConversationFilter(config.filters, this.transformer.channelMap);
     this.batchSize = config.batchSize || 100;
+    this.maxBatchBytes = config.maxBatchBytes || 5242880;
+    this.concurrency = config.concurrency || 1;
+    this.checkpointInterval = config.checkpointInterval || 100;
     this.maxRetries = config.maxRetries || 3;
     this.retryDelay = config.retryDelay || 5000;
+    this.stopRequested = false;
+  }
+
+  /**
+   * Ask a running import to stop early
+   * 
+   * No new conversations are started; the ones in flight finish, their
+   * records are flushed and the cursor is saved so the next run with
+   * resume picks up where this one stopped.
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Check that Gladly and Enterpret can be reached, for readiness probes
+   * 
+   * @throws {Error} If either API cannot be reached
+   */
+  async checkConnections() {
+    await this.gladlyClient.validateConnection();
+    await this.enterpretClient.validateConnection();
   }
 
   /**
    * Run the import process
    * @param {Object} options Import options
+   * @param {boolean} [options.isFullImport] Import everything instead of only new data
+   * @param {string} [options.startDate] Start date (ISO 8601)
+   * @param {string} [options.endDate] End date (ISO 8601)
+   * @param {number} [options.limit] Maximum number of conversations to import
+   * @param {boolean} [options.resume] Continue an interrupted run from its cursor
+   * @param {boolean} [options.force] Send records even if they did not change since they were last sent
+   * @param {boolean} [options.dryRun] Transform and validate without sending anything
+   * @param {string} [options.outputPath] Write records to this file instead of sending them
+   * @param {string} [options.outputFormat] Output file format (ndjson, json or csv)
    * @returns {Object} Import results summary
    */
   async import(options = {}) {
-    const { isFullImport = false, startDate, endDate, limit } = options;
-    
-    const metrics = {
-      conversationsCount: 0,
-      itemsCount: 0,
-      customersCount: 0,
-      errorsCount: 0,
-      startTime: new Date(),
-      endTime: null
-    };
+    const metrics = this._createMetrics('import');
+    return this._recordRun(metrics, () => this._import(options, metrics));
+  }
 
+  async _import(options, metrics) {
+    const { limit, resume = false, force = false, dryRun = false, outputPath, outputFormat } = options;
+    const localMode = dryRun || Boolean(outputPath);
+    let locked = false;
+    
     try {
-      // 1. Initialize and validate connection to both APIs
-      await this._validateConnections();
+      // 1. Initialize and validate connection to both APIs (only Gladly when nothing is sent)
+      await this._validateConnections({ enterpret: !localMode });
+      await this._loadLookups();
       
-      // 2. Determine the start date for the import
-      const importStartDate = await this._determineStartDate(isFullImport, startDate);
-      const importEndDate = endDate ? new Date(endDate) : new Date();
+      // Only one process may advance the import state at a time
+      if (!localMode) {
+        await this.stateManager.acquireLock();
+        locked = true;
+      }
       
-      logger.info(`Starting ${isFullImport ? 'full' : 'incremental'} import from ${importStartDate.toISOString()} to ${importEndDate.toISOString()}`);
+      // 2. Determine the import window, continuing an interrupted run if asked to
+      const { isFullImport, importStartDate, importEndDate } = await this._determineWindow({ ...options, persist: !localMode });
       
-      // 3. Fetch conversations from Gladly
-      const conversations = await this._fetchConversations(importStartDate, importEndDate, limit);
-      metrics.conversationsCount = conversations.length;
+      const mode = isFullImport ? 'full' : 'incremental';
+      const lastImportTime = await this.stateManager.getLastImportTime();
+      metrics.mode = mode;
+      metrics.target = outputPath ? 'file' : (dryRun ? 'dry-run' : 'enterpret');
+      metrics.window = { start: importStartDate.toISOString(), end: importEndDate.toISOString() };
+      metrics.watermark = { before: lastImportTime, after: lastImportTime };
       
-      logger.info(`Found ${conversations.length} conversations to import`);
+      const target = outputPath ? ` writing to ${outputPath}` : (dryRun ? ' (dry run)' : '');
+      logger.info(`Starting ${mode} import${target} from ${importStartDate.toISOString()} to ${importEndDate.toISOString()} with concurrency ${this.concurrency}`);
       
-      // 4. Process each conversation
-      for (const conversation of conversations) {
-        try {
-          // 4.1 Fetch conversation items
-          const items = await this._fetchConversationItems(conversation.id);
-          metrics.itemsCount += items.length;
-          
-          // 4.2 Fetch customer data if needed
-          const customer = await this._fetchCustomer(conversation.customerId);
-          if (customer) metrics.customersCount++;
-          
-          // 4.3 Transform data to Enterpret format
-          const transformedData = this.transformer.transformConversation(conversation, items, customer);
-          
-          // 4.4 Send to Enterpret
-          await this.enterpretClient.importFeedback(transformedData);
-          
-          logger.debug(`Imported conversation ${conversation.id} with ${items.length} items`);
-        } catch (error) {
-          metrics.errorsCount++;
-          logger.error(`Error processing conversation ${conversation.id}: ${error.message}`);
+      const run = await this._createRun(metrics, localMode ? { outputPath, outputFormat } : null);
+      run.force = force;
+      
+      // 3. Retry earlier failures, then stream conversations from Gladly and process each as it arrives
+      const failedIds = await this.stateManager.getFailedIds();
+      const conversations = this._untilStopped(run, this._streamConversations(importStartDate, importEndDate, limit, failedIds));
+      let sinceCheckpoint = 0;
+      
+      await runWorkerPool(conversations, this.concurrency, async conversation => {
+        if (resume && await this.stateManager.isImported(conversation.id, conversation.updatedAt)) {
+          metrics.skippedCount++;
+          logger.child({ conversationId: conversation.id }).debug('Already imported by the interrupted run, skipping');
+          return;
+        }
+        
+        if (!isFullImport && await this.stateManager.isImported(conversation.id, conversation.updatedAt, 'webhook')) {
+          metrics.skippedCount++;
+          logger.child({ conversationId: conversation.id }).debug('Already delivered by a webhook, skipping');
+          return;
         }
+        
+        await this._processConversation(run, { conversation });
+        
+        // Checkpoint progress so an interrupted run can be resumed. Each checkpoint
+        // writes the whole state, so they are spaced out to a tenth of its size
+        // as it grows, keeping the total written linear in the conversations
+        if (run.persist && ++sinceCheckpoint >= this.checkpointInterval
+          && sinceCheckpoint >= (await this.stateManager.getImportedCount()) / 10) {
+          sinceCheckpoint = 0;
+          await this.stateManager.save();
+        }
+      });
+      
+      await this._finishRun(run);
+      
+      if (run.stopped && run.persist) {
+        await this.stateManager.save();
+        logger.info('Import stopped early; progress saved, the next resumed run continues from here');
+        metrics.stopped = true;
+        metrics.endTime = new Date();
+        return metrics;
+      }
+      
+      if (!run.persist) {
+        logger.info(`${dryRun && !outputPath ? 'Dry run' : 'Export'} complete; import state left unchanged`);
+        metrics.endTime = new Date();
+        return metrics;
+      }
+      
+      // 4. Advance the watermark; failed conversations are tracked separately and retried next run
+      await this.stateManager.clearCursor();
+      
+      // When nothing got through, Enterpret or the network is most likely down. The
+      // watermark stays put so the next run reads the whole window again rather than
+      // leaning on the retry list alone, and the run fails so the outage is noticed
+      if (metrics.errorsCount > 0 && metrics.errorsCount >= metrics.conversationsCount) {
+        await this.stateManager.save();
+        throw new Error(`all ${metrics.errorsCount} conversations failed; last import time left at ${lastImportTime || 'none'}`);
       }
       
-      // 5. Update last import state if successful
-      if (metrics.errorsCount === 0) {
+      if (!lastImportTime || new Date(lastImportTime) < importEndDate) {
         await this.stateManager.updateLastImportTime(importEndDate);
+        metrics.watermark.after = importEndDate.toISOString();
         logger.info(`Updated last import time to ${importEndDate.toISOString()}`);
       } else {
-        logger.warn(`Import completed with ${metrics.errorsCount} errors. Last import time not updated.`);
+        await this.stateManager.save();
+        logger.info(`Last import time ${lastImportTime} is already past this run's window, leaving it unchanged`);
+      }
+      
+      if (metrics.errorsCount > 0) {
+        logger.warn(`Import completed with ${metrics.errorsCount} errors. Failed conversations will be retried on the next run.`);
       }
       
       metrics.endTime = new Date();
       return metrics;
     } catch (error) {
       logger.error(`Import failed: ${error.message}`);
+      if (locked) {
+        // Keeps the failures and cursor of this run; the run's own error is the one reported
+        await this.stateManager.save().catch(saveError => logger.error(saveError.message));
+      }
+      throw error;
+    } finally {
+      await this.stateManager.releaseLock();
+    }
+  }
+
+  /**
+   * Replay conversations from the dead-letter queue
+   * 
+   * Each entry is re-run from its stored raw payload; stages whose output
+   * was captured before the failure are not fetched again. Entries are
+   * removed once Enterpret accepts the record.
+   * 
+   * @param {Array} [conversationIds] Entries to retry (all entries when empty)
+   * @returns {Object} Retry results summary
+   */
+  async retryDeadLetters(conversationIds = []) {
+    const metrics = this._createMetrics('dead-letter-retry');
+    return this._recordRun(metrics, () => this._retryDeadLetters(conversationIds, metrics));
+  }
+
+  async _retryDeadLetters(conversationIds, metrics) {
+    try {
+      await this._validateConnections();
+      await this._loadLookups();
+      await this.stateManager.acquireLock();
+      
+      const entries = conversationIds.length > 0
+        ? (await Promise.all(conversationIds.map(id => this.deadLetterQueue.get(id)))).filter(Boolean)
+        : await this.deadLetterQueue.list();
+      
+      logger.info(`Retrying ${entries.length} dead-letter entries`);
+      
+      const run = await this._createRun(metrics);
+      await runWorkerPool(entries, this.concurrency, entry => this._processConversation(run, {
+        conversation: entry.conversation,
+        items: entry.items,
+        customer: entry.customer
+      }));
+      
+      await this._finishRun(run);
+      await this.stateManager.save();
+      
+      metrics.endTime = new Date();
+      return metrics;
+    } catch (error) {
+      logger.error(`Dead-letter retry failed: ${error.message}`);
       throw error;
+    } finally {
+      await this.stateManager.releaseLock();
+    }
+  }
+
+  /**
+   * Import the given conversations right away, outside the polling window
+   * 
+   * Used by the webhook receiver. The watermark and cursor are left alone;
+   * with a source, imported conversations are recorded with it so polling
+   * runs can skip them. For each customer given, the cached profile is
+   * dropped and the customer's conversations that were imported before are
+   * imported again so their records carry the updated profile.
+   * 
+   * @param {Array} conversationIds Gladly conversation IDs
+   * @param {Object} [options] Options
+   * @param {string} [options.source] Recorded with each imported conversation (e.g. webhook)
+   * @param {Array} [options.customerIds] Gladly customer IDs whose profiles changed
+   * @param {boolean} [options.force] Send records even if they did not change since they were last sent
+   * @returns {Object} Import results summary
+   */
+  async importConversations(conversationIds, options = {}) {
+    const metrics = this._createMetrics(options.source || 'conversations');
+    return this._recordRun(metrics, () => this._importConversations(conversationIds, options, metrics));
+  }
+
+  async _importConversations(conversationIds, options, metrics) {
+    const { source, customerIds = [], force = false } = options;
+    
+    try {
+      // Imports here are small and frequent, so the lists are only refreshed hourly
+      await this._loadLookups({ maxAge: 3600000 });
+      await this.stateManager.acquireLock();
+      
+      const run = await this._createRun(metrics);
+      run.source = source || null;
+      run.force = force;
+      
+      const ids = new Set(conversationIds);
+      for (const customerId of customerIds) {
+        run.customerCache.invalidate(customerId);
+        for (const conversation of await this.gladlyClient.fetchCustomerConversations(customerId)) {
+          if (await this.stateManager.isImported(conversation.id)) {
+            ids.add(conversation.id);
+          }
+        }
+      }
+      
+      await runWorkerPool([...ids], this.concurrency, async conversationId => {
+        let conversation;
+        try {
+          conversation = await this.gladlyClient.fetchConversation(conversationId);
+        } catch (error) {
+          countFailure(metrics, 'fetch_conversation', error);
+          await this.stateManager.markFailed(conversationId, error);
+          return;
+        }
+        
+        await this._processConversation(run, { conversation });
+      });
+      
+      await this._finishRun(run);
+      await this.stateManager.save();
+      
+      metrics.endTime = new Date();
+      return metrics;
+    } finally {
+      await this.stateManager.releaseLock();
+    }
+  }
+
+  /**
+   * Compare the conversations Gladly has for a window with the ones
+   * recorded as imported
+   * 
+   * - missing: in Gladly but not imported, or recorded as imported but not
+   *   found in Enterpret when an Enterpret lookup endpoint is configured
+   * - stale: imported, but Gladly's updatedAt is newer than the version
+   *   that was imported
+   * - orphaned: recorded as imported with an updatedAt in the window, but
+   *   Gladly no longer has the conversation
+   * 
+   * Conversations the import filters left out count as imported; they are
+   * not looked up in Enterpret. Conversations last updated before the
+   * state's retention that have no entry are counted as untracked rather
+   * than missing, since their entry may have been forgotten; they are
+   * looked up in Enterpret when a lookup endpoint is configured.
+   * 
+   * With fix set, the missing and stale conversations are imported again.
+   * 
+   * @param {Object} options Reconcile options
+   * @param {string} options.startDate Start date (ISO 8601)
+   * @param {string} [options.endDate] End date (ISO 8601, default: now)
+   * @param {boolean} [options.fix] Import the missing and stale conversations
+   * @returns {Object} window, gladlyCount, enterpretChecked, untracked, missing, stale, orphaned and the run metrics of the fix
+   */
+  async reconcile(options) {
+    const startDate = new Date(options.startDate);
+    const endDate = options.endDate ? new Date(options.endDate) : new Date();
+    const lookup = Boolean(this.config.enterpret.lookupPath);
+    
+    await this._validateConnections({ enterpret: lookup });
+    const imported = await this.stateManager.getImported();
+    const failedIds = new Set(await this.stateManager.getFailedIds());
+    const trackedSince = this.stateManager.getRetentionCutoff();
+    
+    logger.info(`Reconciling conversations from ${startDate.toISOString()} to ${endDate.toISOString()}`);
+    
+    const missing = [];
+    const stale = [];
+    const orphaned = [];
+    const upToDate = [];
+    const seen = new Set();
+    let untracked = 0;
+    
+    const conversations = this.gladlyClient.streamConversations({
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString()
+    });
+    
+    for await (const conversation of conversations) {
+      const entry = imported[conversation.id];
+      seen.add(conversation.id);
+      
+      if (!entry && !failedIds.has(conversation.id) && new Date(conversation.updatedAt) < trackedSince) {
+        // Imported, if at all, before the state's retention; only Enterpret can tell
+        untracked++;
+        upToDate.push(conversation);
+      } else if (!entry) {
+        missing.push({ id: conversation.id, updatedAt: conversation.updatedAt, reason: failedIds.has(conversation.id) ? 'failed' : 'not imported' });
+      } else if (isNewer(conversation.updatedAt, entry.updatedAt)) {
+        stale.push({ id: conversation.id, updatedAt: conversation.updatedAt, importedUpdatedAt: entry.updatedAt });
+      } else if (!entry.filtered) {
+        upToDate.push(conversation);
+      }
+    }
+    
+    // Imported versions from the window that Gladly did not list: deleted, or updated since and moved out of the window
+    const unlisted = Object.entries(imported).filter(([id, entry]) => !seen.has(id) && entry.updatedAt
+      && new Date(entry.updatedAt) >= startDate && new Date(entry.updatedAt) < endDate);
+    
+    await runWorkerPool(unlisted, this.concurrency, async ([id, entry]) => {
+      let conversation;
+      try {
+        conversation = await this.gladlyClient.fetchConversation(id);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        orphaned.push({ id, importedUpdatedAt: entry.updatedAt, reason: 'not found in Gladly' });
+        return;
+      }
+      
+      if (isNewer(conversation.updatedAt, entry.updatedAt)) {
+        stale.push({ id, updatedAt: conversation.updatedAt, importedUpdatedAt: entry.updatedAt });
+      }
+    });
+    
+    // Only conversation records have an id that can be derived without fetching the items
+    let enterpretChecked = 0;
+    if (lookup && this.transformer.granularity !== 'conversation') {
+      logger.warn(`Skipping the Enterpret lookup: it needs conversation granularity, not ${this.transformer.granularity}`);
+    } else if (lookup) {
+      await runWorkerPool(upToDate, this.concurrency, async conversation => {
+        enterpretChecked++;
+        if (!await this.enterpretClient.hasFeedback(`${this.transformer.idPrefix}${conversation.id}`)) {
+          missing.push({ id: conversation.id, updatedAt: conversation.updatedAt, reason: 'not in Enterpret' });
+        }
+      });
+    }
+    
+    const byId = (a, b) => a.id.localeCompare(b.id);
+    const result = {
+      window: { start: startDate.toISOString(), end: endDate.toISOString() },
+      gladlyCount: seen.size,
+      enterpretChecked,
+      untracked,
+      missing: missing.sort(byId),
+      stale: stale.sort(byId),
+      orphaned: orphaned.sort(byId),
+      fixed: null
+    };
+    
+    logger.info(`Gladly has ${seen.size} conversations in the window: ${missing.length} missing, ${stale.length} stale, ${orphaned.length} orphaned, ${untracked} untracked`);
+    
+    const gapIds = [...result.missing, ...result.stale].map(gap => gap.id);
+    if (options.fix && gapIds.length > 0) {
+      logger.info(`Importing ${gapIds.length} missing and stale conversations`);
+      // Forced, since a record Enterpret lost has the same content as the one sent before
+      result.fixed = await this.importConversations(gapIds, { source: 'reconcile', force: true });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Run a task with the run id attached to its log lines and write the
+   * run's report once it finished, failed or not
+   * 
+   * @param {Object} metrics Run metrics
+   * @param {Function} task Async function doing the run and returning the metrics
+   * @returns {Object} The metrics
+   */
+  async _recordRun(metrics, task) {
+    return logger.withContext({ runId: metrics.runId }, async () => {
+      try {
+        await task();
+        metrics.status = metrics.stopped ? 'stopped' : 'completed';
+        return metrics;
+      } catch (error) {
+        metrics.status = 'failed';
+        metrics.error = error.message;
+        metrics.endTime = new Date();
+        throw error;
+      } finally {
+        await this.runHistory.record(metrics);
+      }
+    });
+  }
+
+  /**
+   * Create the metrics of a run, which also make up its report
+   * 
+   * @param {string} type Kind of run: import, dead-letter-retry, or the source of a conversations import (e.g. webhook)
+   * @returns {Object} Run metrics
+   */
+  _createMetrics(type) {
+    return {
+      runId: createRunId(),
+      type,
+      status: 'running',
+      error: null,
+      mode: null,
+      target: 'enterpret',
+      window: null,
+      watermark: null,
+      conversationsCount: 0,
+      itemsCount: 0,
+      customersCount: 0,
+      customerCacheHits: 0,
+      errorsCount: 0,
+      skippedCount: 0,
+      recordsSucceeded: 0,
+      recordsRetried: 0,
+      recordsFailed: 0,
+      recordsUnchanged: 0,
+      filtered: {},
+      stages: Object.fromEntries(STAGES.map(stage => [stage, { completed: 0, failed: 0 }])),
+      channels: {},
+      errorsByStatus: {},
+      redactions: {},
+      unknownItemTypes: {},
+      startTime: new Date(),
+      endTime: null
+    };
+  }
+
+  /**
+   * Create the per-run context shared by all workers: metrics, the record
+   * sender, the payloads of records waiting for it and the customer cache
+   * 
+   * A conversation can produce several records; it only counts as imported
+   * once every one of them is delivered, and fails once if any of them fails.
+   * 
+   * Local runs (dry run or file export) validate records through a
+   * LocalSink instead of posting them and never touch the import state or
+   * the dead-letter queue.
+   * 
+   * @param {Object} metrics Run metrics
+   * @param {Object} [local] Local run options (outputPath, outputFormat); null for a real import
+   * @returns {Object} Run context
+   */
+  async _createRun(metrics, local = null) {
+    const pendingRecords = new Map();
+    
+    // The callbacks run inside sender.add() for whichever conversation is being
+    // queued at the time, so their errors are kept to the delivered conversation
+    // instead of being thrown at that one
+    const recordFailure = async (payload, error) => {
+      try {
+        await this._recordFailure(run, payload, 'post', error);
+      } catch (recordError) {
+        logger.child({ conversationId: payload.conversation.id }).error(`Failed to record the failure: ${recordError.message}`);
+      }
+    };
+    
+    const callbacks = {
+      onDelivered: async record => {
+        const payload = pendingRecords.get(record.id);
+        pendingRecords.delete(record.id);
+        payload.pendingIds.delete(record.id);
+        
+        if (payload.pendingIds.size === 0 && !payload.failed) {
+          try {
+            await this._markImported(run, payload);
+            metrics.stages.post.completed++;
+          } catch (error) {
+            await recordFailure(payload, error);
+          }
+        }
+      },
+      onFailed: async (record, error) => {
+        const payload = pendingRecords.get(record.id);
+        pendingRecords.delete(record.id);
+        payload.pendingIds.delete(record.id);
+        await recordFailure(payload, error);
+      }
+    };
+    
+    const sender = local
+      ? new LocalSink(this.enterpretClient, { ...callbacks, outputPath: local.outputPath, format: local.outputFormat })
+      : new BatchSender(this.enterpretClient, {
+        ...callbacks,
+        batchSize: this.batchSize,
+        maxBatchBytes: this.maxBatchBytes,
+        maxRetries: this.maxRetries,
+        retryDelay: this.retryDelay
+      });
+    
+    const customerCache = new CustomerCache({
+      filePath: this.config.customerCachePath,
+      ttl: this.config.customerCacheTtl
+    });
+    await customerCache.load();
+    
+    const run = { metrics, sender, pendingRecords, customerCache, persist: !local, stopped: false, source: null, force: false };
+    return run;
+  }
+
+  async _finishRun(run) {
+    await run.sender.flush();
+    if (run.sender.close) {
+      await run.sender.close();
+    }
+    await run.customerCache.save();
+    run.metrics.customerCacheHits = run.customerCache.stats.hits;
+    run.metrics.recordsSucceeded = run.sender.stats.succeeded;
+    run.metrics.recordsRetried = run.sender.stats.retried;
+    run.metrics.recordsFailed = run.sender.stats.failed;
+    
+    // Delivered records are fine, but the state cannot record them without the lock
+    if (this.stateManager.lockLost) {
+      throw new Error('Lost the state lock, so the import state was not saved; another process may be importing');
+    }
+  }
+
+  /**
+   * Run one conversation through fetch items, fetch customer, transform and
+   * queue it for Enterpret. Failures are recorded with the stage that failed.
+   * 
+   * @param {Object} run Run context
+   * @param {Object} payload Raw Gladly data; items and customer are fetched when missing
+   */
+  async _processConversation(run, payload) {
+    const { metrics } = run;
+    const { conversation } = payload;
+    const log = logger.child({ conversationId: conversation.id });
+    let stage = 'fetch_items';
+    
+    prometheus.countConversation();
+    
+    // Filters that need only the conversation run before anything is fetched
+    const filteredBy = this.filter.check(conversation);
+    if (filteredBy) {
+      await this._markFiltered(run, conversation, filteredBy);
+      return;
+    }
+    
+    metrics.conversationsCount++;
+    
+    try {
+      // 1. Fetch conversation items
+      let endStage = prometheus.startStage(stage);
+      if (!payload.items) {
+        payload.items = await this._fetchConversationItems(conversation.id, log);
+      }
+      endStage();
+      metrics.stages.fetch_items.completed++;
+      metrics.itemsCount += payload.items.length;
+      prometheus.countItems(payload.items.length);
+      
+      const filteredByItems = this.filter.checkItems(payload.items);
+      if (filteredByItems) {
+        metrics.conversationsCount--;
+        await this._markFiltered(run, conversation, filteredByItems);
+        return;
+      }
+      
+      // 2. Fetch customer data if needed
+      stage = 'fetch_customer';
+      endStage = prometheus.startStage(stage);
+      if (!payload.customer) {
+        payload.customer = await this._fetchCustomer(run, conversation.customerId, log);
+      }
+      endStage();
+      metrics.stages.fetch_customer.completed++;
+      if (payload.customer) metrics.customersCount++;
+      
+      // 3. Transform data to Enterpret format and redact PII before it leaves the network
+      stage = 'transform';
+      endStage = prometheus.startStage(stage);
+      const records = this.transformer.transform(conversation, payload.items, payload.customer, metrics.unknownItemTypes)
+        .map(record => this.redactor.redact(record, metrics.redactions));
+      payload.transformed = this.transformer.granularity === 'conversation' ? records[0] : records;
+      endStage();
+      metrics.stages.transform.completed++;
+      for (const record of records) {
+        metrics.channels[record.channel] = (metrics.channels[record.channel] || 0) + 1;
+      }
+      
+      if (records.length === 0) {
+        log.debug('No customer messages to import');
+        await this._markImported(run, payload);
+        return;
+      }
+      
+      // 4. Queue the records that changed since they were last sent for the next Enterpret batch
+      stage = 'post';
+      payload.hashes = Object.fromEntries(records.map(record => [record.id, hashRecord(record)]));
+      const sentHashes = run.persist && !run.force ? await this.stateManager.getRecordHashes(conversation.id) : {};
+      const changed = records.filter(record => sentHashes[record.id] !== payload.hashes[record.id]);
+      metrics.recordsUnchanged += records.length - changed.length;
+      
+      if (changed.length === 0) {
+        log.debug('Records unchanged since they were last sent, skipping the post');
+        await this._markImported(run, payload);
+        return;
+      }
+      
+      payload.pendingIds = new Set(changed.map(record => record.id));
+      for (const record of changed) {
+        run.pendingRecords.set(record.id, payload);
+      }
+      for (const record of changed) {
+        await run.sender.add(record);
+      }
+      
+      log.debug(`Queued ${changed.length} of ${records.length} records from ${payload.items.length} items`);
+    } catch (error) {
+      await this._recordFailure(run, payload, stage, error);
+    }
+  }
+
+  async _markImported(run, payload) {
+    if (run.persist) {
+      await this.stateManager.markImported(payload.conversation.id, payload.conversation.updatedAt, run.source, payload.hashes);
+      await this.deadLetterQueue.remove(payload.conversation.id);
+    }
+  }
+
+  async _markFiltered(run, conversation, reason) {
+    run.metrics.filtered[reason] = (run.metrics.filtered[reason] || 0) + 1;
+    prometheus.countFiltered(reason);
+    logger.child({ conversationId: conversation.id }).debug(`Filtered out by ${reason}`);
+    
+    // Recorded so the conversation is not retried or reported as missing
+    if (run.persist) {
+      await this.stateManager.markFiltered(conversation.id, conversation.updatedAt, reason);
+      await this.deadLetterQueue.remove(conversation.id);
+    }
+  }
+
+  async _recordFailure(run, payload, stage, error) {
+    const { conversation } = payload;
+    
+    // A conversation with several records is only recorded as failed once
+    if (payload.failed) return;
+    payload.failed = true;
+    
+    countFailure(run.metrics, stage, error);
+    logger.child({ conversationId: conversation.id })
+      .error(`Error processing conversation at stage ${stage}: ${error.message}`);
+    
+    if (run.persist) {
+      await this.stateManager.markFailed(conversation.id, error, conversation.updatedAt);
+      await this.deadLetterQueue.add({ ...payload, stage, error });
     }
   }
 
-  async _validateConnections() {
+  async _validateConnections({ enterpret = true } = {}) {
     try {
       logger.debug('Validating connection to Gladly API...');
       await this.gladlyClient.validateConnection();
       
-      logger.debug('Validating connection to Enterpret API...');
-      await this.enterpretClient.validateConnection();
+      if (enterpret) {
+        logger.debug('Validating connection to Enterpret API...');
+        await this.enterpretClient.validateConnection();
+      }
       
       logger.info('API connections validated successfully');
     } catch (error) {
@@ -104,6 +744,65 @@ class GladlyImporter {
     }
   }
 
+  /**
+   * Fetch topics, agents and inboxes once per run so records carry names
+   * instead of ids
+   * 
+   * @param {Object} [options] Passed to GladlyClient.loadLookups (default: always refresh)
+   */
+  async _loadLookups(options = { refresh: true }) {
+    const lookups = await this.gladlyClient.loadLookups(options);
+    this.transformer.setLookups(lookups);
+    this.filter.setLookups(lookups);
+  }
+
+  /**
+   * Determine the import window and record it as the run's cursor
+   * 
+   * With resume set and a cursor left behind by an interrupted run, the
+   * interrupted run's window is reused. The cursor is only written when
+   * persist is set.
+   * 
+   * @param {Object} options Import options
+   * @returns {Object} isFullImport, importStartDate and importEndDate
+   */
+  async _determineWindow(options) {
+    const { isFullImport = false, startDate, endDate, resume = false, persist = true } = options;
+    const cursor = await this.stateManager.getCursor();
+    
+    if (resume && cursor) {
+      logger.info(`Resuming interrupted run started at ${cursor.startedAt} (${cursor.processedCount} conversations already processed)`);
+      if (persist) {
+        await this.stateManager.setCursor(cursor);
+      }
+      
+      return {
+        isFullImport: cursor.isFullImport,
+        importStartDate: new Date(cursor.startDate),
+        importEndDate: new Date(cursor.endDate)
+      };
+    }
+    
+    if (resume) {
+      logger.info('No interrupted run found, starting a new import');
+    } else if (cursor) {
+      logger.warn(`Found an interrupted run started at ${cursor.startedAt}; starting a new run instead. Use --resume to continue it.`);
+    }
+    
+    const importStartDate = await this._determineStartDate(isFullImport, startDate);
+    const importEndDate = endDate ? new Date(endDate) : new Date();
+    
+    if (persist) {
+      await this.stateManager.setCursor({
+        startDate: importStartDate.toISOString(),
+        endDate: importEndDate.toISOString(),
+        isFullImport
+      });
+    }
+    
+    return { isFullImport, importStartDate, importEndDate };
+  }
+
   async _determineStartDate(isFullImport, userStartDate) {
     if (userStartDate) {
       return new Date(userStartDate);
@@ -124,58 +823,102 @@ class GladlyImporter {
     return defaultDate;
   }
 
-  async _fetchConversations(startDate, endDate, limit) {
-    const allConversations = [];
-    let hasMore = true;
-    let page = 1;
+  async *_untilStopped(run, conversations) {
+    for await (const conversation of conversations) {
+      if (this._shouldStop()) {
+        logger.info('Stop requested; finishing conversations in progress');
+        run.stopped = true;
+        return;
+      }
+      yield conversation;
+    }
     
-    while (hasMore) {
-      logger.debug(`Fetching conversations page ${page}...`);
-      
-      const result = await this.gladlyClient.fetchConversations({
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString(),
-        page,
-        pageSize: this.batchSize
-      });
-      
-      allConversations.push(...result.conversations);
+    // The export may have been cut short while it was prepared or downloaded
+    if (this._shouldStop()) {
+      run.stopped = true;
+    }
+  }
+
+  // A run stops when asked to, or once it can no longer save its state
+  _shouldStop() {
+    return this.stopRequested || this.stateManager.lockLost;
+  }
+
+  /**
+   * Stream conversations that failed in earlier runs, then the import window,
+   * stopping at the limit
+   * 
+   * @param {Date} startDate Start of the import window
+   * @param {Date} endDate End of the import window
+   * @param {number} [limit] Maximum number of conversations to yield
+   * @param {Array} [retryIds] Ids of previously failed conversations to retry first
+   * @yields {Object} Gladly conversation
+   */
+  async *_streamConversations(startDate, endDate, limit, retryIds = []) {
+    let count = 0;
+    const retried = new Set();
+    
+    if (retryIds.length > 0) {
+      logger.info(`Retrying ${retryIds.length} conversations that failed in earlier runs`);
+    }
+    
+    for (const conversationId of retryIds) {
+      let conversation;
+      try {
+        conversation = await this.gladlyClient.fetchConversation(conversationId);
+      } catch (error) {
+        if (error.status === 404) {
+          logger.warn(`Conversation ${conversationId} no longer exists in Gladly; no longer retrying it`);
+          await this.stateManager.removeFailed(conversationId);
+        } else {
+          await this.stateManager.markFailed(conversationId, error);
+        }
+        continue;
+      }
       
-      hasMore = result.hasMore && (!limit || allConversations.length < limit);
-      page++;
+      retried.add(conversationId);
+      yield conversation;
       
-      if (limit && allConversations.length >= limit) {
+      if (limit && ++count >= limit) {
         logger.info(`Reached limit of ${limit} conversations`);
-        allConversations.splice(limit); // Truncate to limit
-        break;
+        return;
       }
+    }
+    
+    logger.debug(`Requesting conversations export from ${startDate.toISOString()} to ${endDate.toISOString()}...`);
+    
+    const conversations = this.gladlyClient.streamConversations({
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      shouldStop: () => this._shouldStop()
+    });
+    
+    for await (const conversation of conversations) {
+      if (retried.has(conversation.id)) continue;
+      
+      yield conversation;
       
-      if (hasMore) {
-        await this._delay(300);
+      if (limit && ++count >= limit) {
+        logger.info(`Reached limit of ${limit} conversations`);
+        return;
       }
     }
-    
-    return allConversations;
   }
 
-  async _fetchConversationItems(conversationId) {
-    try {
-      logger.debug(`Fetching items for conversation ${conversationId}...`);
-      return await this.gladlyClient.fetchConversationItems(conversationId);
-    } catch (error) {
-      logger.error(`Error fetching conversation items for ${conversationId}: ${error.message}`);
-      return [];
-    }
+  async _fetchConversationItems(conversationId, log = logger) {
+    log.debug(`Fetching items for conversation ${conversationId}...`);
+    return this.gladlyClient.fetchConversationItems(conversationId);
   }
 
-  async _fetchCustomer(customerId) {
-    try {
-      logger.debug(`Fetching customer ${customerId}...`);
-      return await this.gladlyClient.fetchCustomer(customerId);
-    } catch (error) {
-      logger.error(`Error fetching customer ${customerId}: ${error.message}`);
+  async _fetchCustomer(run, customerId, log = logger) {
+    if (!customerId) {
       return null;
     }
+    
+    return run.customerCache.get(customerId, id => {
+      log.debug(`Fetching customer ${id}...`);
+      return this.gladlyClient.fetchCustomer(id);
+    });
   }
 
   _delay(ms) {
@@ -183,4 +926,28 @@ class GladlyImporter {
   }
 }
 
+function isNewer(updatedAt, importedUpdatedAt) {
+  return Boolean(updatedAt && importedUpdatedAt && new Date(updatedAt) > new Date(importedUpdatedAt));
+}
+
+// Content hash of a record as sent, to tell whether it changed since; records are built deterministically
+function hashRecord(record) {
+  return crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex').slice(0, 32);
+}
+
+// Failures by stage and by HTTP status ('none' when no response was involved) for the run report
+function countFailure(metrics, stage, error) {
+  const counts = metrics.stages[stage] || (metrics.stages[stage] = { completed: 0, failed: 0 });
+  const status = error.status || 'none';
+  
+  metrics.errorsCount++;
+  counts.failed++;
+  metrics.errorsByStatus[status] = (metrics.errorsByStatus[status] || 0) + 1;
+}
+
+// Sortable and short enough for log lines: 20260102T030405-1a2b3c
+function createRunId() {
+  return `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
 module.exports = GladlyImporter;
\ No newline at end of file
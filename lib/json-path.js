@@ -0,0 +1,103 @@
+/**
+ * Minimal JSONPath-style expressions used by the field mapping
+ * 
+ * Supported syntax: the root `$`, dotted keys (`$.customer.name`), bracketed
+ * keys (`$['custom key']`), array indexes including negative ones
+ * (`$.items[0]`, `$.items[-1]`) and wildcards (`$.items[*].content.type`).
+ * An expression without a wildcard evaluates to a single value; one with a
+ * wildcard evaluates to an array of the matched values.
+ */
+
+/**
+ * Parse an expression into path segments
+ * 
+ * @param {string} expression JSONPath-style expression
+ * @returns {Array} Segments: { key }, { index } or { wildcard: true }
+ * @throws {Error} If the expression is not valid
+ */
+function parse(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`JSONPath expression must start with "$": ${expression}`);
+  }
+  
+  const segments = [];
+  let i = 1;
+  
+  while (i < expression.length) {
+    const char = expression[i];
+    
+    if (char === '.') {
+      const match = /^[A-Za-z0-9_$-]+|^\*/.exec(expression.slice(i + 1));
+      if (!match) {
+        throw new Error(`Expected a key after "." at position ${i} in ${expression}`);
+      }
+      segments.push(match[0] === '*' ? { wildcard: true } : { key: match[0] });
+      i += 1 + match[0].length;
+    } else if (char === '[') {
+      const end = expression.indexOf(']', i);
+      if (end === -1) {
+        throw new Error(`Unclosed "[" at position ${i} in ${expression}`);
+      }
+      
+      const inner = expression.slice(i + 1, end).trim();
+      if (inner === '*') {
+        segments.push({ wildcard: true });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ index: parseInt(inner, 10) });
+      } else if (/^'[^']*'$|^"[^"]*"$/.test(inner)) {
+        segments.push({ key: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Invalid bracket segment "[${inner}]" in ${expression}`);
+      }
+      i = end + 1;
+    } else {
+      throw new Error(`Unexpected "${char}" at position ${i} in ${expression}`);
+    }
+  }
+  
+  return segments;
+}
+
+/**
+ * Evaluate an expression against a value
+ * 
+ * @param {string} expression JSONPath-style expression
+ * @param {*} root Value the `$` refers to
+ * @returns {*} The matched value, an array of matches for wildcard expressions, or undefined
+ */
+function evaluate(expression, root) {
+  const segments = parse(expression);
+  const hasWildcard = segments.some(segment => segment.wildcard);
+  let current = [root];
+  
+  for (const segment of segments) {
+    const next = [];
+    
+    for (const value of current) {
+      if (value === null || value === undefined) continue;
+      
+      if (segment.wildcard) {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (segment.index !== undefined) {
+        if (Array.isArray(value)) {
+          next.push(value[segment.index < 0 ? value.length + segment.index : segment.index]);
+        }
+      } else {
+        next.push(value[segment.key]);
+      }
+    }
+    
+    current = next;
+  }
+  
+  if (hasWildcard) {
+    return current.filter(value => value !== undefined);
+  }
+  
+  return current[0];
+}
+
+module.exports = {
+  parse,
+  evaluate
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const logger = require('./logger');
+
+const FORMATS = ['ndjson', 'json', 'csv'];
+
+const CSV_COLUMNS = [
+  'id',
+  'source',
+  'channel',
+  'timestamp',
+  'status',
+  'agent.id',
+  'customer.id',
+  'customer.name',
+  'customer.email',
+  'customer.phone',
+  'tags',
+  'content',
+  'metadata',
+  'customAttributes'
+];
+
+/**
+ * Stand-in for the Enterpret batch sender used by dry runs and file exports
+ * 
+ * Every record is validated exactly as it would be before posting to
+ * Enterpret, and is then either discarded (dry run) or written to a file as
+ * NDJSON, JSON or CSV. Nothing is sent to Enterpret.
+ */
+class LocalSink {
+  /**
+   * Create a new local sink
+   * 
+   * @param {EnterpretClient} enterpretClient Client whose validation the records must pass
+   * @param {Object} options Sink options
+   * @param {string} [options.outputPath] File to write records to; records are discarded when not set
+   * @param {string} [options.format] Output format (ndjson, json or csv); inferred from the file extension when not set
+   * @param {Function} [options.onDelivered] Called with (record) for records that passed validation
+   * @param {Function} [options.onFailed] Called with (record, error) for records that failed validation
+   */
+  constructor(enterpretClient, options = {}) {
+    this.enterpretClient = enterpretClient;
+    this.outputPath = options.outputPath || null;
+    this.format = options.format || LocalSink.inferFormat(this.outputPath);
+    this.onDelivered = options.onDelivered || (() => {});
+    this.onFailed = options.onFailed || (() => {});
+    this.stream = null;
+    this.written = 0;
+    this.stats = {
+      succeeded: 0,
+      retried: 0,
+      failed: 0
+    };
+    
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Unsupported output format "${this.format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    
+    if (this.outputPath) {
+      this._open();
+    }
+  }
+
+  /**
+   * Infer the output format from a file name
+   * 
+   * @param {string} filePath Output file path
+   * @returns {string} ndjson, json or csv
+   */
+  static inferFormat(filePath) {
+    const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+    
+    if (extension === '.csv') return 'csv';
+    if (extension === '.json') return 'json';
+    return 'ndjson';
+  }
+
+  /**
+   * Validate a record and write it to the output file, if there is one
+   * 
+   * @param {Object} record Transformed feedback record
+   */
+  async add(record) {
+    try {
+      this.enterpretClient._validateFeedbackData(record);
+    } catch (error) {
+      this.stats.failed++;
+      await this.onFailed(record, error);
+      return;
+    }
+    
+    logger.debug(`Dry run record ${record.id}: ${JSON.stringify(record)}`);
+    
+    if (this.outputPath) {
+      const chunk = this._serialize(record);
+      this.written++;
+      await this._write(chunk);
+    }
+    
+    this.stats.succeeded++;
+    await this.onDelivered(record);
+  }
+
+  async flush() {
+    // Records are written as they arrive, so there is nothing to flush
+  }
+
+  /**
+   * Finish the output file
+   */
+  async close() {
+    if (!this.outputPath) {
+      return;
+    }
+    
+    if (this.format === 'json') {
+      await this._write(this.written > 0 ? '\n]\n' : ']\n');
+    }
+    
+    this.stream.end();
+    await once(this.stream, 'finish');
+    logger.info(`Wrote ${this.written} records to ${this.outputPath} as ${this.format}`);
+  }
+
+  _serialize(record) {
+    switch (this.format) {
+      case 'json':
+        return `${this.written > 0 ? ',\n' : '\n'}${JSON.stringify(record)}`;
+      
+      case 'csv':
+        return `${CSV_COLUMNS.map(column => this._csvValue(this._getPath(record, column))).join(',')}\n`;
+      
+      default:
+        return `${JSON.stringify(record)}\n`;
+    }
+  }
+
+  _getPath(record, column) {
+    return column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+  }
+
+  _csvValue(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _open() {
+    fs.mkdirSync(path.dirname(path.resolve(this.outputPath)), { recursive: true });
+    this.stream = fs.createWriteStream(this.outputPath, { encoding: 'utf8' });
+    
+    if (this.format === 'json') {
+      this.stream.write('[');
+    } else if (this.format === 'csv') {
+      this.stream.write(`${CSV_COLUMNS.join(',')}\n`);
+    }
+  }
+
+  async _write(chunk) {
+    if (!this.stream.write(chunk)) {
+      await once(this.stream, 'drain');
+    }
+  }
+}
+
+module.exports = LocalSink;
\ No newline at end of file
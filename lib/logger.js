@@ -1,41 +1,203 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
 const winston = require('winston');
 const { format, transports } = winston;
 
-const customFormat = format.combine(
+const DESTINATIONS = ['stdout', 'file', 'syslog'];
+const FORMATS = ['text', 'json'];
+const REDACTED = '[REDACTED]';
+
+// Metadata such as the tenant and run id, added to every line logged inside logger.withContext
+const context = new AsyncLocalStorage();
+
+// Secret values registered with logger.addSecrets, replaced wherever they appear
+const secrets = new Set();
+
+// Keys whose values are never logged, wherever they appear in the metadata
+const SECRET_KEYS = /^(api[-_]?token|api[-_]?key|x-api-key|authorization|proxy-authorization|password|secret|secret[-_]?access[-_]?key|salt|auth)$/i;
+
+// Secrets that show up inside strings, such as request dumps and connection URLs
+const SECRET_PATTERNS = [
+  [/\b((?:proxy-)?authorization["']?\s*[:=]\s*["']?)(basic|bearer)\s+[^\s"',}]+/gi, `$1$2 ${REDACTED}`],
+  [/\b(x-api-key["']?\s*[:=]\s*["']?)[^\s"',}]+/gi, `$1${REDACTED}`],
+  [/\b((?:api[-_]?token|api[-_]?key|password|secret|salt)["']?\s*[:=]\s*["']?)[^\s"',}]+/gi, `$1${REDACTED}`],
+  [/\b([a-z][a-z0-9+.-]*:\/\/)[^\s/:@]*:[^\s/@]+@/gi, `$1${REDACTED}@`]
+];
+
+const addContext = format(info => Object.assign(info, { ...context.getStore(), ...info }));
+
+/**
+ * Strip secrets from a log line: registered secret values, values of
+ * secret-looking keys, credentials inside strings, and the request config
+ * axios errors carry (which holds the auth headers)
+ */
+const scrubSecrets = format(info => {
+  // logger.error(error) spreads the error's own properties into the line
+  if (isAxiosError(info)) {
+    const { message, ...summary } = summarizeAxiosError(info);
+    for (const key of ['config', 'request', 'response', 'isAxiosError', 'toJSON']) {
+      delete info[key];
+    }
+    Object.assign(info, summary);
+  }
+  
+  for (const key of Object.keys(info)) {
+    info[key] = SECRET_KEYS.test(key) && info[key] ? REDACTED : scrub(info[key], 0, new WeakSet());
+  }
+  return info;
+});
+
+function scrub(value, depth, seen) {
+  if (typeof value === 'string') {
+    return scrubString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value) || depth > 6) {
+    return '[Object]';
+  }
+  seen.add(value);
+  
+  if (isAxiosError(value)) {
+    return scrub(summarizeAxiosError(value), depth + 1, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrub(item, depth + 1, seen));
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  
+  const copy = {};
+  if (value instanceof Error) {
+    copy.message = scrubString(value.message);
+    copy.stack = scrubString(value.stack || '');
+  }
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.test(key) && item ? REDACTED : scrub(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+function scrubString(text) {
+  let scrubbed = text;
+  for (const secret of secrets) {
+    scrubbed = scrubbed.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, replacement);
+  }
+  return scrubbed;
+}
+
+// The flag sits on the prototype, which is lost once winston copies the error's properties
+function isAxiosError(value) {
+  return Boolean(value.isAxiosError || (value.config && (value.request || value.response)));
+}
+
+function summarizeAxiosError(error) {
+  const config = error.config || {};
+  return {
+    message: error.message,
+    code: error.code,
+    method: config.method ? config.method.toUpperCase() : undefined,
+    url: config.baseURL && config.url && !/^https?:/.test(config.url) ? `${config.baseURL}${config.url}` : config.url,
+    status: error.response ? error.response.status : undefined
+  };
+}
+
+const baseFormat = format.combine(
+  addContext(),
   format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
   format.errors({ stack: true }),
   format.splat(),
-  format.printf(info => {
-    const { timestamp, level, message, ...rest } = info;
-    const restString = Object.keys(rest).length ? JSON.stringify(rest, null, 2) : '';
-    return `${timestamp} [${level.toUpperCase()}]: ${message} ${restString}`;
-  })
+  scrubSecrets()
 );
 
+const textFormat = format.printf(info => {
+  const { timestamp, level, message, tenant, runId, conversationId, ...rest } = info;
+  const tag = (tenant ? ` [tenant ${tenant}]` : '') + (runId ? ` [run ${runId}]` : '') + (conversationId ? ` [conversation ${conversationId}]` : '');
+  const restString = Object.keys(rest).length ? JSON.stringify(rest, null, 2) : '';
+  return `${timestamp} [${level.toUpperCase()}]${tag}: ${message} ${restString}`;
+});
+
+// syslog has no warn, http, verbose or silly level
+const SYSLOG_LEVELS = { warn: 'warning', http: 'info', verbose: 'debug', silly: 'debug' };
+const toSyslogLevel = format(info => {
+  const level = info[Symbol.for('level')];
+  info[Symbol.for('level')] = SYSLOG_LEVELS[level] || level;
+  return info;
+});
+
+/**
+ * Build the transports for a logging setup
+ * 
+ * @param {Object} options Logging options (see logger.setOutput)
+ * @returns {Array} Winston transports
+ */
+function createTransports(options) {
+  const output = options.format === 'json' ? format.json() : textFormat;
+  const destinations = options.destinations || ['stdout'];
+  const created = [];
+  
+  if (destinations.includes('stdout')) {
+    created.push(new transports.Console({
+      format: options.format === 'json' ? output : format.combine(format.colorize(), output)
+    }));
+  }
+  
+  if (destinations.includes('file')) {
+    const directory = options.directory || './logs';
+    created.push(
+      new transports.File({
+        filename: path.join(directory, 'error.log'),
+        level: 'error',
+        format: output,
+        maxsize: 5242880, // 5MB
+        maxFiles: 5
+      }),
+      new transports.File({
+        filename: path.join(directory, 'combined.log'),
+        format: output,
+        maxsize: 5242880, // 5MB
+        maxFiles: 5
+      })
+    );
+  }
+  
+  if (destinations.includes('syslog')) {
+    let Syslog;
+    try {
+      ({ Syslog } = require('winston-syslog'));
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') {
+        throw new Error('The syslog log destination needs the winston-syslog package. Install it with: npm install winston-syslog');
+      }
+      throw error;
+    }
+    
+    const syslog = options.syslog || {};
+    created.push(new Syslog({
+      host: syslog.host,
+      port: syslog.port,
+      protocol: syslog.protocol,
+      path: syslog.path,
+      facility: syslog.facility,
+      app_name: syslog.appName,
+      format: format.combine(toSyslogLevel(), output)
+    }));
+  }
+  
+  return created;
+}
+
+// Until the config is loaded and logger.setOutput is called, lines only go to the console
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info', // Default level
-  format: customFormat,
+  format: baseFormat,
   defaultMeta: { service: 'gladly-import' },
-  transports: [
-    new transports.Console({
-      format: format.combine(
-        format.colorize(),
-        customFormat
-      )
-    }),
-    
-    new transports.File({ 
-      filename: 'logs/error.log', 
-      level: 'error',
-      maxsize: 5242880, // 5MB
-      maxFiles: 5
-    }),
-    new transports.File({ 
-      filename: 'logs/combined.log',
-      maxsize: 5242880, // 5MB
-      maxFiles: 5
-    })
-  ]
+  transports: createTransports({ format: process.env.LOG_FORMAT })
 });
 
 /**
@@ -48,4 +210,89 @@ logger.setLevel = function(level) {
   logger.debug(`Logging level set to ${level}`);
 };
 
+/**
+ * Replace the transports with the ones a logging config asks for
+ * 
+ * @param {Object} options Logging options (the logging config section)
+ * @param {string} [options.format] text or json
+ * @param {Array} [options.destinations] Any of stdout, file and syslog (default: stdout)
+ * @param {string} [options.directory] Directory of error.log and combined.log for the file destination
+ * @param {Object} [options.syslog] host, port, protocol (udp4, tcp4, unix...), path, facility and appName
+ */
+logger.setOutput = function(options) {
+  const created = createTransports(options);
+  
+  for (const transport of [...logger.transports]) {
+    logger.remove(transport);
+    if (transport.close) {
+      transport.close();
+    }
+  }
+  for (const transport of created) {
+    logger.add(transport);
+  }
+};
+
+/**
+ * Finish writing buffered lines, for use right before the process exits;
+ * nothing can be logged afterwards
+ * 
+ * @param {number} [timeout] Longest to wait in milliseconds (default: 2 seconds)
+ */
+logger.flush = function(timeout = 2000) {
+  // Ending the logger ends every transport once it has taken what it was given
+  const finished = logger.transports.map(transport => new Promise(resolve => transport.once('finish', resolve)));
+  logger.end();
+  
+  // The file and syslog transports report finished before their file
+  // stream or socket has written the last lines, so give those a moment
+  const written = Promise.all(finished).then(() => new Promise(resolve => setTimeout(resolve, 200)));
+  
+  let timer;
+  return Promise.race([
+    written,
+    new Promise(resolve => {
+      timer = setTimeout(resolve, timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Never log these values, wherever they appear
+ * 
+ * @param {Array} values Secret values; empty values are ignored
+ */
+logger.addSecrets = function(values) {
+  for (const value of values) {
+    // Very short values would blank out ordinary words
+    if (typeof value === 'string' && value.length >= 4) {
+      secrets.add(value);
+    }
+  }
+};
+
+/**
+ * Run a function with metadata attached to everything it logs, including
+ * from asynchronous work it starts
+ * 
+ * @param {Object} meta Metadata, e.g. { tenant }
+ * @param {Function} fn Function to run
+ * @returns {*} The function's result
+ */
+logger.withContext = function(meta, fn) {
+  return context.run({ ...context.getStore(), ...meta }, fn);
+};
+
+/**
+ * Get the metadata set by the enclosing logger.withContext calls
+ * 
+ * @returns {Object} Metadata, empty outside any context
+ */
+logger.getContext = function() {
+  return context.getStore() || {};
+};
+
+logger.DESTINATIONS = DESTINATIONS;
+logger.FORMATS = FORMATS;
+
 module.exports = logger;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const jsonPath = require('./json-path');
+const logger = require('./logger');
+
+const CUSTOMER_FIELDS = ['id', 'name', 'email', 'phone', 'externalId', 'mergedFromIds'];
+
+const REQUIRED_FIELDS = ['id', 'source', 'timestamp'];
+
+const MAPPING_KEYS = ['idPrefix', 'channelMap', 'fields', 'customerFields', 'customAttributes', 'staticMetadata', 'extract'];
+
+/**
+ * Load the field mapping from the inline `mapping` config section and/or
+ * the JSON or YAML file named by `mappingFile`, and validate it
+ * 
+ * Values from the inline section override values from the file.
+ * 
+ * @param {Object} config Application config
+ * @param {Object} [config.mapping] Inline mapping
+ * @param {string} [config.mappingFile] Path to a JSON or YAML mapping file
+ * @returns {Object} The validated mapping
+ * @throws {Error} If the file cannot be read or the mapping is invalid
+ */
+async function loadMapping(config) {
+  let fileMapping = {};
+  
+  if (config.mappingFile) {
+    logger.debug(`Loading field mapping from ${config.mappingFile}`);
+    fileMapping = await readMappingFile(config.mappingFile);
+  }
+  
+  const mapping = mergeMappings(fileMapping, config.mapping || {});
+  const errors = validateMapping(mapping);
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid field mapping:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return mapping;
+}
+
+async function readMappingFile(filePath) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read mapping file ${filePath}: ${error.message}`);
+  }
+  
+  try {
+    const extension = path.extname(filePath).toLowerCase();
+    const parsed = extension === '.yaml' || extension === '.yml' ? yaml.load(data) : JSON.parse(data);
+    return parsed || {};
+  } catch (error) {
+    throw new Error(`Failed to parse mapping file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Merge two mappings, letting the override win key by key
+ * 
+ * @param {Object} base Base mapping
+ * @param {Object} override Overriding mapping
+ * @returns {Object} Merged mapping
+ */
+function mergeMappings(base, override) {
+  const merged = { ...base, ...override };
+  
+  for (const key of ['channelMap', 'fields', 'staticMetadata', 'extract']) {
+    if (isPlainObject(base[key]) && isPlainObject(override[key])) {
+      merged[key] = { ...base[key], ...override[key] };
+    }
+  }
+  
+  if (isPlainObject(base.customAttributes) && isPlainObject(override.customAttributes)) {
+    merged.customAttributes = {
+      ...base.customAttributes,
+      ...override.customAttributes,
+      names: { ...(base.customAttributes.names || {}), ...(override.customAttributes.names || {}) }
+    };
+  }
+  
+  return merged;
+}
+
+/**
+ * Validate a mapping
+ * 
+ * @param {Object} mapping Field mapping
+ * @returns {Array} Error messages; empty when the mapping is valid
+ */
+function validateMapping(mapping) {
+  const errors = [];
+  
+  if (!isPlainObject(mapping)) {
+    return ['mapping must be an object'];
+  }
+  
+  for (const key of Object.keys(mapping)) {
+    if (!MAPPING_KEYS.includes(key)) {
+      errors.push(`unknown key "${key}" (expected one of: ${MAPPING_KEYS.join(', ')})`);
+    }
+  }
+  
+  if (mapping.idPrefix !== undefined && typeof mapping.idPrefix !== 'string') {
+    errors.push('idPrefix must be a string');
+  }
+  
+  if (mapping.channelMap !== undefined) {
+    if (!isPlainObject(mapping.channelMap)) {
+      errors.push('channelMap must be an object of Gladly item type to channel name');
+    } else {
+      for (const [type, channel] of Object.entries(mapping.channelMap)) {
+        if (typeof channel !== 'string' || !channel) {
+          errors.push(`channelMap.${type} must be a non-empty string`);
+        }
+      }
+    }
+  }
+  
+  if (mapping.fields !== undefined) {
+    if (!isPlainObject(mapping.fields)) {
+      errors.push('fields must be an object of record field to new name (or null to drop it)');
+    } else {
+      for (const [field, target] of Object.entries(mapping.fields)) {
+        if (REQUIRED_FIELDS.includes(field)) {
+          errors.push(`fields.${field}: ${field} is required by Enterpret and cannot be renamed or dropped`);
+        } else if (target !== null && (typeof target !== 'string' || !target)) {
+          errors.push(`fields.${field} must be a new field name or null`);
+        }
+      }
+    }
+  }
+  
+  if (mapping.customerFields !== undefined) {
+    if (!Array.isArray(mapping.customerFields)) {
+      errors.push('customerFields must be an array');
+    } else {
+      for (const field of mapping.customerFields) {
+        if (!CUSTOMER_FIELDS.includes(field)) {
+          errors.push(`customerFields contains unknown field "${field}" (expected any of: ${CUSTOMER_FIELDS.join(', ')})`);
+        }
+      }
+    }
+  }
+  
+  if (mapping.customAttributes !== undefined) {
+    const customAttributes = mapping.customAttributes;
+    
+    if (!isPlainObject(customAttributes)) {
+      errors.push('customAttributes must be an object');
+    } else {
+      if (customAttributes.names !== undefined && !isPlainObject(customAttributes.names)) {
+        errors.push('customAttributes.names must be an object of Gladly attribute id to friendly name');
+      } else {
+        for (const [id, name] of Object.entries(customAttributes.names || {})) {
+          if (typeof name !== 'string' || !name) {
+            errors.push(`customAttributes.names.${id} must be a non-empty string`);
+          }
+        }
+      }
+      
+      if (customAttributes.dropUnmapped !== undefined && typeof customAttributes.dropUnmapped !== 'boolean') {
+        errors.push('customAttributes.dropUnmapped must be true or false');
+      }
+    }
+  }
+  
+  if (mapping.staticMetadata !== undefined && !isPlainObject(mapping.staticMetadata)) {
+    errors.push('staticMetadata must be an object');
+  }
+  
+  if (mapping.extract !== undefined) {
+    if (!isPlainObject(mapping.extract)) {
+      errors.push('extract must be an object of record field to JSONPath expression');
+    } else {
+      for (const [field, expression] of Object.entries(mapping.extract)) {
+        try {
+          jsonPath.parse(expression);
+        } catch (error) {
+          errors.push(`extract.${field}: ${error.message}`);
+        }
+      }
+    }
+  }
+  
+  return errors;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  loadMapping,
+  mergeMappings,
+  validateMapping,
+  CUSTOMER_FIELDS
+};
\ No newline at end of file
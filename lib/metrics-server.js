@@ -0,0 +1,109 @@
+const http = require('http');
+const prometheus = require('./prometheus');
+const logger = require('./logger');
+
+/**
+ * HTTP server for Prometheus scrapes and health probes in daemon mode
+ * 
+ * - `/metrics`: the Prometheus registry
+ * - `/healthz`: 200 while the process is running
+ * - `/readyz`: 200 when every readiness check passes, 503 with the errors
+ *   otherwise; results are cached for `readyCacheTtl` ms so frequent probes
+ *   do not hammer the APIs being checked
+ */
+class MetricsServer {
+  /**
+   * Create a new metrics server
+   * 
+   * @param {Object} options Server options
+   * @param {number} [options.port] Port to listen on (default: 9464)
+   * @param {Array} [options.checks] Readiness checks: objects with name and an async check function that throws when not ready
+   * @param {number} [options.readyCacheTtl] Milliseconds a readiness result is reused (default: 15 seconds)
+   */
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : 9464;
+    this.checks = options.checks || [];
+    this.readyCacheTtl = options.readyCacheTtl !== undefined ? options.readyCacheTtl : 15000;
+    this.readiness = null;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * 
+   * @returns {number} The port listened on
+   */
+  async listen() {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    
+    const port = this.server.address().port;
+    logger.info(`Serving /metrics, /healthz and /readyz on port ${port}`);
+    return port;
+  }
+
+  /**
+   * Stop accepting connections and wait for open requests to finish
+   */
+  async close() {
+    await new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async _handle(req, res) {
+    const send = (status, body, contentType = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+    
+    if (req.method !== 'GET') {
+      return send(405, { error: 'Method not allowed' });
+    }
+    
+    try {
+      switch (req.url.split('?')[0]) {
+        case '/metrics':
+          return send(200, await prometheus.registry.metrics(), prometheus.registry.contentType);
+        case '/healthz':
+          return send(200, { status: 'ok' });
+        case '/readyz': {
+          const errors = await this._checkReadiness();
+          return Object.keys(errors).length === 0
+            ? send(200, { status: 'ready' })
+            : send(503, { status: 'not ready', errors });
+        }
+        default:
+          return send(404, { error: 'Not found' });
+      }
+    } catch (error) {
+      logger.error(`Failed to serve ${req.url}: ${error.message}`);
+      send(500, { error: 'Internal error' });
+    }
+  }
+
+  // Concurrent probes share one round of checks
+  async _checkReadiness() {
+    if (this.readiness && Date.now() - this.readiness.checkedAt < this.readyCacheTtl) {
+      return this.readiness.errors;
+    }
+    
+    const checkedAt = Date.now();
+    const errors = Promise.all(this.checks.map(async ({ name, check }) => {
+      try {
+        await check();
+        return null;
+      } catch (error) {
+        return [name, error.message];
+      }
+    })).then(results => Object.fromEntries(results.filter(Boolean)));
+    
+    this.readiness = { checkedAt, errors };
+    return errors;
+  }
+}
+
+module.exports = MetricsServer;
\ No newline at end of file
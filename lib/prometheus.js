@@ -0,0 +1,189 @@
+const client = require('prom-client');
+const logger = require('./logger');
+
+// One registry for the process; every series carries the tenant of the logger context it was recorded in
+const registry = new client.Registry();
+const PREFIX = 'gladly_enterpret_';
+
+const conversationsFetched = new client.Counter({
+  name: `${PREFIX}conversations_fetched_total`,
+  help: 'Conversations read from Gladly',
+  labelNames: ['tenant'],
+  registers: [registry]
+});
+
+const conversationsFiltered = new client.Counter({
+  name: `${PREFIX}conversations_filtered_total`,
+  help: 'Conversations left out by the import filters, by reason',
+  labelNames: ['tenant', 'reason'],
+  registers: [registry]
+});
+
+const itemsProcessed = new client.Counter({
+  name: `${PREFIX}items_processed_total`,
+  help: 'Conversation items fetched and transformed',
+  labelNames: ['tenant'],
+  registers: [registry]
+});
+
+const enterpretPosts = new client.Counter({
+  name: `${PREFIX}enterpret_posts_total`,
+  help: 'Requests posted to Enterpret, by HTTP status code (error when there was no response)',
+  labelNames: ['tenant', 'status'],
+  registers: [registry]
+});
+
+const retries = new client.Counter({
+  name: `${PREFIX}http_retries_total`,
+  help: 'Requests retried, by API and reason',
+  labelNames: ['tenant', 'api', 'reason'],
+  registers: [registry]
+});
+
+const rateLimited = new client.Counter({
+  name: `${PREFIX}http_rate_limited_total`,
+  help: 'Responses with status 429, by API',
+  labelNames: ['tenant', 'api'],
+  registers: [registry]
+});
+
+const stageDuration = new client.Histogram({
+  name: `${PREFIX}stage_duration_seconds`,
+  help: 'Time spent per conversation in fetch_items, fetch_customer and transform, and per Enterpret batch in post',
+  labelNames: ['tenant', 'stage'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry]
+});
+
+// tenant -> time of the watermark, turned into a lag whenever the metrics are read
+const watermarks = new Map();
+
+new client.Gauge({
+  name: `${PREFIX}watermark_lag_seconds`,
+  help: 'Seconds between the last import watermark and now',
+  labelNames: ['tenant'],
+  registers: [registry],
+  collect() {
+    for (const [tenant, time] of watermarks) {
+      this.set({ tenant }, Math.max(0, (Date.now() - time) / 1000));
+    }
+  }
+});
+
+function tenantLabel() {
+  return logger.getContext().tenant || 'default';
+}
+
+/**
+ * Count a conversation read from Gladly
+ */
+function countConversation() {
+  conversationsFetched.inc({ tenant: tenantLabel() });
+}
+
+/**
+ * Count a conversation left out by the import filters
+ * 
+ * @param {string} reason Filter that left it out (inbox, channel, topic, status, customer_messages or custom_attribute)
+ */
+function countFiltered(reason) {
+  conversationsFiltered.inc({ tenant: tenantLabel(), reason });
+}
+
+/**
+ * Count processed conversation items
+ * 
+ * @param {number} count Number of items
+ */
+function countItems(count) {
+  itemsProcessed.inc({ tenant: tenantLabel() }, count);
+}
+
+/**
+ * Count one request posted to Enterpret
+ * 
+ * @param {number|null} status HTTP status code, or null if there was no response
+ */
+function countEnterpretPost(status) {
+  enterpretPosts.inc({ tenant: tenantLabel(), status: status ? String(status) : 'error' });
+}
+
+/**
+ * Count a retried request, and a 429 separately
+ * 
+ * @param {string} api API name (Gladly or Enterpret)
+ * @param {string} reason Retry reason from getRetryReason
+ */
+function countRetry(api, reason) {
+  retries.inc({ tenant: tenantLabel(), api, reason: reason.replace(/ \(.*\)$/, '') });
+}
+
+/**
+ * Count a 429 response, whether or not it is retried
+ * 
+ * @param {string} api API name (Gladly or Enterpret)
+ */
+function countRateLimited(api) {
+  rateLimited.inc({ tenant: tenantLabel(), api });
+}
+
+/**
+ * Start timing a stage
+ * 
+ * @param {string} stage Stage name (fetch_items, fetch_customer, transform or post)
+ * @returns {Function} Call when the stage ends to record its duration
+ */
+function startStage(stage) {
+  return stageDuration.startTimer({ tenant: tenantLabel(), stage });
+}
+
+/**
+ * Record the current import watermark for the lag gauge
+ * 
+ * @param {string|Date|null} lastImportTime Watermark, or null before the first import
+ */
+function setWatermark(lastImportTime) {
+  if (lastImportTime) {
+    watermarks.set(tenantLabel(), new Date(lastImportTime).getTime());
+  }
+}
+
+/**
+ * Add the process metrics (CPU, memory, event loop lag) prom-client collects
+ * to the registry; only worth it for long-running processes
+ */
+function collectProcessMetrics() {
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+}
+
+/**
+ * Push the registry to a Prometheus Pushgateway, replacing what the job
+ * pushed before
+ * 
+ * Failures are logged rather than thrown so they never fail the import.
+ * 
+ * @param {string} url Pushgateway URL
+ * @param {string} jobName Job name to push under
+ */
+async function pushMetrics(url, jobName) {
+  try {
+    await new client.Pushgateway(url, { timeout: 10000 }, registry).push({ jobName });
+    logger.debug(`Pushed metrics to ${url} as job ${jobName}`);
+  } catch (error) {
+    logger.warn(`Failed to push metrics to ${url}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  registry,
+  countConversation,
+  countFiltered,
+  countItems,
+  countEnterpretPost,
+  countRetry,
+  countRateLimited,
+  startStage,
+  setWatermark,
+  collectProcessMetrics,
+  pushMetrics
+};
\ No newline at end of file
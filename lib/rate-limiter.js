@@ -0,0 +1,62 @@
+/**
+ * Limits how many requests run at once and how often new ones may start
+ */
+class RateLimiter {
+  /**
+   * Create a new rate limiter
+   * 
+   * @param {Object} options Limiter options
+   * @param {number} [options.maxConcurrent] Maximum number of requests in flight (unlimited when not set)
+   * @param {number} [options.requestsPerSecond] Maximum number of requests started per second (unlimited when not set)
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.interval = options.requestsPerSecond ? 1000 / options.requestsPerSecond : 0;
+    this.active = 0;
+    this.nextStartAt = 0;
+    this.waiting = [];
+    this.timer = null;
+  }
+
+  /**
+   * Wait for a free slot. Every acquire must be paired with a release.
+   * 
+   * @returns {Promise} Resolves once the caller may start its request
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.waiting.push(resolve);
+      this._next();
+    });
+  }
+
+  /**
+   * Give back a slot taken by acquire
+   */
+  release() {
+    this.active = Math.max(0, this.active - 1);
+    this._next();
+  }
+
+  _next() {
+    if (this.timer || this.waiting.length === 0 || this.active >= this.maxConcurrent) {
+      return;
+    }
+    
+    const wait = this.nextStartAt - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._next();
+      }, wait);
+      return;
+    }
+    
+    this.active++;
+    this.nextStartAt = Date.now() + this.interval;
+    this.waiting.shift()();
+    this._next();
+  }
+}
+
+module.exports = RateLimiter;
\ No newline at end of file
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+
+const POLICIES = ['keep', 'mask', 'hash', 'drop'];
+
+/**
+ * Built-in PII detectors, applied in this order so that card numbers and
+ * SSNs are matched before the looser phone pattern can claim their digits
+ */
+const DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  creditCard: {
+    label: 'CREDIT_CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  ssn: {
+    label: 'SSN',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g
+  },
+  // A bare run of ten digits is more often an order or ticket number, so a
+  // phone number needs separators, an area code in parentheses or a + prefix
+  phone: {
+    label: 'PHONE',
+    pattern: /(?:\+\d{1,3}[\s.-]?(?:\(\d{3}\)\s?|\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}|\(\d{3}\)\s?\d{3}[\s.-]?\d{4}|\b\d{3}[\s.-]\d{3}[\s.-]\d{4})\b/g
+  },
+  address: {
+    label: 'ADDRESS',
+    pattern: /\b\d{1,6}\s+(?:[A-Z][A-Za-z0-9]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy)\b\.?(?:,?\s+(?:Apt|Suite|Ste|Unit|#)\.?\s*[\w-]+)?/g
+  }
+};
+
+/**
+ * Luhn checksum used to tell card numbers from other long digit runs
+ * 
+ * @param {string} digits Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhn(digits) {
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  
+  return sum % 10 === 0;
+}
+
+/**
+ * Redacts PII from transformed records before they leave the network
+ * 
+ * Text fields (such as `content`) are scanned for emails, phone numbers,
+ * card numbers, SSNs, street addresses and custom patterns, and each match
+ * is handled by the field's policy. Value fields (such as `customer.email`)
+ * hold PII as their whole value, so the policy applies to the value itself.
+ * 
+ * Policies: keep (leave as is), mask (replace with a label), hash (replace
+ * with a salted SHA-256 digest) or drop (remove the match or field).
+ * 
+ * Records are redacted after the field mapping, so policies written for the
+ * built-in record shape are moved to where the mapping renames their
+ * fields. Fields the mapping extracts from the raw Gladly data are scanned
+ * like text fields unless a policy names them.
+ */
+class Redactor {
+  /**
+   * Create a new redactor
+   * 
+   * @param {Object} [config] Redaction config
+   * @param {boolean} [config.enabled] Whether redaction runs at all
+   * @param {string} [config.salt] Salt for the hash policy
+   * @param {Array} [config.detectors] Built-in detectors to use (default: all)
+   * @param {Array} [config.customPatterns] Extra detectors as { name, pattern, flags }
+   * @param {Object} [config.textFields] Field path to policy for fields scanned for PII
+   * @param {Object} [config.valueFields] Field path to policy for fields whose whole value is PII
+   * @param {Object} [mapping] Field mapping the records went through (see lib/mapping.js)
+   * @throws {Error} If the config is invalid
+   */
+  constructor(config = {}, mapping = {}) {
+    this.enabled = config.enabled !== false;
+    this.salt = config.salt || '';
+    this.stats = {};
+    
+    const errors = this._validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid redaction config:\n  - ${errors.join('\n  - ')}`);
+    }
+    
+    this.textFields = this._resolvePolicies(config.textFields || {}, mapping.fields);
+    this.valueFields = this._resolvePolicies(config.valueFields || {}, mapping.fields);
+    
+    for (const target of Object.keys(mapping.extract || {})) {
+      const mappedTarget = this._mapPath(target, mapping.fields);
+      if (mappedTarget && !this.textFields[mappedTarget] && !this.valueFields[mappedTarget]) {
+        this.textFields[mappedTarget] = 'mask';
+      }
+    }
+    
+    const detectorNames = config.detectors || Object.keys(DETECTORS);
+    this.detectors = detectorNames.map(name => ({ name, ...DETECTORS[name] }));
+    
+    for (const custom of config.customPatterns || []) {
+      this.detectors.push({
+        name: custom.name,
+        label: custom.name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase(),
+        pattern: new RegExp(custom.pattern, (custom.flags || '').includes('g') ? custom.flags : `${custom.flags || ''}g`)
+      });
+    }
+  }
+
+  /**
+   * Redact a transformed record in place
+   * 
+   * @param {Object} record Transformed feedback record
+   * @param {Object} [stats] Redaction counts by detector or field to add to (default: this.stats)
+   * @returns {Object} The redacted record
+   */
+  redact(record, stats = this.stats) {
+    if (!this.enabled) {
+      return record;
+    }
+    
+    for (const [fieldPath, policy] of Object.entries(this.textFields)) {
+      if (policy === 'keep') continue;
+      this._updatePath(record, fieldPath, value => this._redactStrings(value, policy, stats));
+    }
+    
+    for (const [fieldPath, policy] of Object.entries(this.valueFields)) {
+      if (policy === 'keep') continue;
+      this._updatePath(record, fieldPath, value => {
+        if (value === undefined || value === null || value === '') {
+          return value;
+        }
+        
+        this._count(stats, fieldPath);
+        if (policy === 'drop') return undefined;
+        if (policy === 'hash') return this._hash(String(value));
+        return '[REDACTED]';
+      });
+    }
+    
+    return record;
+  }
+
+  /**
+   * Redact PII found in a piece of text
+   * 
+   * @param {string} text Text to scan
+   * @param {string} policy mask, hash, drop or keep
+   * @param {Object} [stats] Redaction counts by detector to add to (default: this.stats)
+   * @returns {string} Redacted text
+   */
+  redactText(text, policy, stats = this.stats) {
+    let result = text;
+    
+    for (const detector of this.detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, match => {
+        if (detector.validate && !detector.validate(match)) {
+          return match;
+        }
+        
+        this._count(stats, detector.name);
+        if (policy === 'drop') return '';
+        if (policy === 'hash') return `[${detector.label}:${this._hash(match)}]`;
+        return `[${detector.label}]`;
+      });
+    }
+    
+    return result;
+  }
+
+  // Redact every string in a value, including those nested in arrays and objects (e.g. extracted fields)
+  _redactStrings(value, policy, stats) {
+    if (typeof value === 'string') {
+      return this.redactText(value, policy, stats);
+    }
+    if (Array.isArray(value)) {
+      return value.map(element => this._redactStrings(element, policy, stats));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, element]) => [key, this._redactStrings(element, policy, stats)]));
+    }
+    return value;
+  }
+
+  /**
+   * Move policies to the paths the mapping renames their fields to; a
+   * policy already configured for the new path wins, and policies for
+   * fields the mapping drops are left out
+   * 
+   * @param {Object} policies Field path to policy
+   * @param {Object} [fields] The mapping's field renames
+   * @returns {Object} Field path to policy on the mapped record
+   */
+  _resolvePolicies(policies, fields) {
+    const resolved = {};
+    
+    for (const [fieldPath, policy] of Object.entries(policies)) {
+      const mappedPath = this._mapPath(fieldPath, fields);
+      if (mappedPath && !(mappedPath !== fieldPath && policies[mappedPath])) {
+        resolved[mappedPath] = policy;
+      }
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Get the path a field ends up at after the mapping's renames
+   * 
+   * @param {string} fieldPath Field path on the record before renames
+   * @param {Object} [fields] The mapping's field renames
+   * @returns {string|null} Field path after renames, or null if the field is dropped
+   */
+  _mapPath(fieldPath, fields) {
+    for (const [field, target] of Object.entries(fields || {})) {
+      if (fieldPath !== field && !fieldPath.startsWith(`${field}.`) && !fieldPath.startsWith(`${field}[]`)) continue;
+      
+      return target === null ? null : `${target}${fieldPath.slice(field.length)}`;
+    }
+    
+    return fieldPath;
+  }
+
+  _hash(value) {
+    return crypto.createHash('sha256').update(`${this.salt}${value}`).digest('hex').slice(0, 16);
+  }
+
+  _count(stats, name) {
+    stats[name] = (stats[name] || 0) + 1;
+  }
+
+  /**
+   * Apply an update to every value at a field path; `[]` after a key
+   * descends into each element of an array (e.g. `messages[].text`).
+   * Returning undefined from the update deletes the field.
+   */
+  _updatePath(object, fieldPath, update) {
+    const [head, ...rest] = fieldPath.split('.');
+    if (!object || typeof object !== 'object') return;
+    
+    if (head.endsWith('[]')) {
+      const list = object[head.slice(0, -2)];
+      if (!Array.isArray(list)) return;
+      
+      for (const element of list) {
+        if (rest.length > 0) this._updatePath(element, rest.join('.'), update);
+      }
+      return;
+    }
+    
+    if (rest.length > 0) {
+      this._updatePath(object[head], rest.join('.'), update);
+      return;
+    }
+    
+    if (!(head in object)) return;
+    
+    const value = update(object[head]);
+    if (value === undefined) {
+      delete object[head];
+    } else {
+      object[head] = value;
+    }
+  }
+
+  _validate(config) {
+    const errors = [];
+    const fieldPolicies = [
+      ...Object.entries(config.textFields || {}).map(([field, policy]) => ['textFields', field, policy]),
+      ...Object.entries(config.valueFields || {}).map(([field, policy]) => ['valueFields', field, policy])
+    ];
+    
+    for (const [section, field, policy] of fieldPolicies) {
+      if (!POLICIES.includes(policy)) {
+        errors.push(`${section}.${field} has unknown policy "${policy}" (expected one of: ${POLICIES.join(', ')})`);
+      }
+    }
+    
+    if (this.enabled && !config.salt && fieldPolicies.some(([, , policy]) => policy === 'hash')) {
+      errors.push('salt is required when a field uses the hash policy');
+    }
+    
+    for (const name of config.detectors || []) {
+      if (!DETECTORS[name]) {
+        errors.push(`unknown detector "${name}" (expected any of: ${Object.keys(DETECTORS).join(', ')})`);
+      }
+    }
+    
+    for (const custom of config.customPatterns || []) {
+      if (!custom || !custom.name || !custom.pattern) {
+        errors.push('customPatterns entries need a name and a pattern');
+        continue;
+      }
+      
+      try {
+        new RegExp(custom.pattern, custom.flags || '');
+      } catch (error) {
+        errors.push(`customPatterns.${custom.name}: ${error.message}`);
+      }
+    }
+    
+    return errors;
+  }
+}
+
+module.exports = Redactor;
\ No newline at end of file
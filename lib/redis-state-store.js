@@ -0,0 +1,102 @@
+const { requireOptional, createLock, lockedError } = require('./state-store');
+
+// Only touch the lock if it still holds our token
+const REFRESH_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const UNLOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * State store backed by Redis (ioredis)
+ * 
+ * The state is a single string key. The lock is a `<key>:lock` key set
+ * with NX and a TTL, so Redis expires it if the holder dies.
+ */
+class RedisStateStore {
+  /**
+   * Create a new Redis state store
+   * 
+   * @param {Object} options Store options
+   * @param {string} [options.url] Redis URL (default: redis://127.0.0.1:6379)
+   * @param {string} [options.key] Key of the state
+   */
+  constructor(options = {}) {
+    const Redis = requireOptional('ioredis', 'redis');
+    
+    this.key = options.key || 'gladly-enterpret:import-state';
+    this.lockKey = `${this.key}:lock`;
+    this.heldLock = null;
+    this.client = new Redis(options.url || 'redis://127.0.0.1:6379', {
+      maxRetriesPerRequest: 3
+    });
+  }
+
+  async read() {
+    const data = await this.client.get(this.key);
+    if (data === null) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Redis key ${this.key} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  async write(state) {
+    await this.client.set(this.key, JSON.stringify(state));
+  }
+
+  async remove() {
+    await this.client.del(this.key);
+  }
+
+  async lock(ttl) {
+    const lock = createLock(ttl);
+    const value = JSON.stringify(lock);
+    
+    const result = await this.client.set(this.lockKey, value, 'PX', ttl, 'NX');
+    if (result !== 'OK') {
+      const existing = await this.client.get(this.lockKey);
+      if (existing) {
+        throw lockedError(JSON.parse(existing));
+      }
+      throw lockedError({ owner: 'another process', expiresAt: 'the lock expires' });
+    }
+    
+    this.heldLock = value;
+  }
+
+  async refreshLock(ttl) {
+    const refreshed = this.heldLock
+      ? await this.client.eval(REFRESH_SCRIPT, 1, this.lockKey, this.heldLock, ttl)
+      : 0;
+    
+    if (!refreshed) {
+      throw new Error('State lock was lost');
+    }
+  }
+
+  async unlock() {
+    if (this.heldLock) {
+      await this.client.eval(UNLOCK_SCRIPT, 1, this.lockKey, this.heldLock);
+    }
+    this.heldLock = null;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStateStore;
\ No newline at end of file
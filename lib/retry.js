@@ -0,0 +1,161 @@
+const logger = require('./logger');
+const prometheus = require('./prometheus');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Parse a Retry-After header value given either as seconds or an HTTP date
+ * 
+ * @param {string|number} value Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if the value is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  
+  return null;
+}
+
+/**
+ * Describe why a failed request may be retried
+ * 
+ * @param {Error} error Axios error
+ * @returns {string|null} Retry reason, or null if the error is not retryable
+ */
+function getRetryReason(error) {
+  const status = error.response ? error.response.status : null;
+  
+  if (status === 429) {
+    return 'rate limited (429)';
+  }
+  
+  if (status >= 500) {
+    return `server error (${status})`;
+  }
+  
+  if (!error.response && TIMEOUT_CODES.includes(error.code)) {
+    return `timeout (${error.code})`;
+  }
+  
+  if (!error.response && error.code === 'ECONNRESET') {
+    return 'connection reset (ECONNRESET)';
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a request can be repeated without side effects
+ * 
+ * Requests may opt in or out explicitly with an `idempotent` config flag;
+ * otherwise the HTTP method decides.
+ * 
+ * @param {Object} requestConfig Axios request config
+ * @returns {boolean} True if the request is idempotent
+ */
+function isIdempotent(requestConfig) {
+  if (typeof requestConfig.idempotent === 'boolean') {
+    return requestConfig.idempotent;
+  }
+  
+  return IDEMPOTENT_METHODS.includes((requestConfig.method || 'get').toLowerCase());
+}
+
+/**
+ * Compute a jittered exponential backoff delay for an attempt
+ * 
+ * The delay is picked at random between half and all of the exponential delay.
+ * 
+ * @param {number} attempt Zero-based retry attempt
+ * @param {number} baseDelay Base delay in milliseconds
+ * @param {number} maxDelay Maximum delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Install the shared retry policy on an axios instance
+ * 
+ * Retries 429s, 5xx responses, timeouts and connection resets with
+ * exponential backoff and jitter, honouring Retry-After when present, and
+ * stops after maxRetries attempts. Non-idempotent requests are only retried
+ * on 429, where the server rejected the request without processing it.
+ * 
+ * @param {Object} client Axios instance
+ * @param {Object} options Retry options
+ * @param {string} options.name API name used in log lines
+ * @param {number} [options.maxRetries] Maximum number of retries per request (default 3)
+ * @param {number} [options.retryDelay] Base delay in milliseconds (default 5000)
+ * @param {number} [options.maxRetryDelay] Maximum delay between attempts in milliseconds
+ */
+function attachRetryPolicy(client, options) {
+  const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+  const retryDelay = options.retryDelay !== undefined ? options.retryDelay : 5000;
+  const maxRetryDelay = options.maxRetryDelay || 60000;
+  
+  client.interceptors.response.use(
+    response => response,
+    async error => {
+      const requestConfig = error.config;
+      if (!requestConfig) {
+        return Promise.reject(error);
+      }
+      
+      const reason = getRetryReason(error);
+      const attempt = requestConfig.retryAttempt || 0;
+      const status = error.response ? error.response.status : null;
+      const request = `${options.name} ${(requestConfig.method || 'get').toUpperCase()} ${requestConfig.url}`;
+      
+      if (status === 429) {
+        prometheus.countRateLimited(options.name);
+      }
+      
+      if (!reason || attempt >= maxRetries) {
+        if (reason) {
+          logger.warn(`Giving up on ${request} after ${attempt} retries: ${reason}`);
+        }
+        return Promise.reject(error);
+      }
+      
+      if (status !== 429 && !isIdempotent(requestConfig)) {
+        logger.warn(`Not retrying non-idempotent ${request}: ${reason}`);
+        return Promise.reject(error);
+      }
+      
+      const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, maxRetryDelay)
+        : backoffDelay(attempt, retryDelay, maxRetryDelay);
+      
+      logger.warn(`Retrying ${request} in ${delay}ms (attempt ${attempt + 1} of ${maxRetries}): ${reason}`);
+      prometheus.countRetry(options.name, reason);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      
+      requestConfig.retryAttempt = attempt + 1;
+      return client(requestConfig);
+    }
+  );
+}
+
+module.exports = {
+  attachRetryPolicy,
+  parseRetryAfter,
+  getRetryReason,
+  isIdempotent,
+  backoffDelay
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// Run ids name files in the report directory, so they may not hold path separators or dots
+const RUN_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Local store of run reports, one JSON file per run named after its id
+ * 
+ * Run ids start with the run's start time, so sorting the file names sorts
+ * the runs. Only the latest `retention` reports are kept.
+ */
+class RunHistory {
+  /**
+   * Create a new run history
+   * 
+   * @param {string} directory Directory holding the reports
+   * @param {Object} [options] Options
+   * @param {number} [options.retention] Number of reports kept (default: 1000)
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.retention = options.retention || 1000;
+  }
+
+  /**
+   * Write the report of a finished run
+   * 
+   * Failures are logged rather than thrown so they never fail the run.
+   * 
+   * @param {Object} metrics Run metrics as returned by the importer
+   * @returns {Object} The report
+   */
+  async record(metrics) {
+    const report = createReport(metrics);
+    
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      const reportPath = this._reportPath(report.runId);
+      await fs.writeFile(`${reportPath}.tmp`, JSON.stringify(report, null, 2), 'utf8');
+      await fs.rename(`${reportPath}.tmp`, reportPath);
+      logger.debug(`Wrote run report ${reportPath}`);
+      
+      await this._prune();
+    } catch (error) {
+      logger.error(`Failed to write run report ${report.runId}: ${error.message}`);
+    }
+    
+    return report;
+  }
+
+  /**
+   * Get the report of one run
+   * 
+   * @param {string} runId Run id
+   * @returns {Object|null} The report, or null if there is none
+   * @throws {Error} If the run id is not a valid run id
+   */
+  async get(runId) {
+    const reportPath = this._reportPath(runId);
+    
+    try {
+      return JSON.parse(await fs.readFile(reportPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read run report ${runId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * List reports, latest run first
+   * 
+   * @param {number} [count] Only the latest count reports (default: all)
+   * @returns {Array} Run reports
+   */
+  async list(count) {
+    const runIds = await this._runIds();
+    const reports = [];
+    
+    for (const runId of runIds.reverse().slice(0, count || runIds.length)) {
+      const report = await this.get(runId);
+      if (report) reports.push(report);
+    }
+    
+    return reports;
+  }
+
+  // Oldest first
+  async _runIds() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read report directory: ${error.message}`);
+    }
+    
+    return files
+      .filter(name => name.endsWith('.json'))
+      .map(name => decodeURIComponent(path.basename(name, '.json')))
+      .filter(runId => RUN_ID_PATTERN.test(runId))
+      .sort();
+  }
+
+  async _prune() {
+    const runIds = await this._runIds();
+    
+    for (const runId of runIds.slice(0, Math.max(0, runIds.length - this.retention))) {
+      await fs.unlink(this._reportPath(runId)).catch(() => {});
+    }
+  }
+
+  _reportPath(runId) {
+    if (typeof runId !== 'string' || !RUN_ID_PATTERN.test(runId)) {
+      throw new Error(`Invalid run id "${runId}": only letters, digits, _ and - are allowed`);
+    }
+    
+    return path.join(this.directory, `${encodeURIComponent(runId)}.json`);
+  }
+}
+
+/**
+ * Build a run report from the importer's run metrics
+ * 
+ * @param {Object} metrics Run metrics
+ * @returns {Object} Run report
+ */
+function createReport(metrics) {
+  const endTime = metrics.endTime || new Date();
+  const durationMs = endTime - metrics.startTime;
+  const seconds = durationMs / 1000;
+  const perSecond = count => (seconds > 0 ? Math.round((count / seconds) * 100) / 100 : 0);
+  
+  const errorsByStage = {};
+  for (const [stage, counts] of Object.entries(metrics.stages)) {
+    if (counts.failed > 0) {
+      errorsByStage[stage] = counts.failed;
+    }
+  }
+  
+  return {
+    runId: metrics.runId,
+    type: metrics.type,
+    status: metrics.status,
+    error: metrics.error,
+    mode: metrics.mode,
+    target: metrics.target,
+    window: metrics.window,
+    startTime: metrics.startTime,
+    endTime,
+    durationMs,
+    watermark: metrics.watermark,
+    conversations: {
+      processed: metrics.conversationsCount,
+      skipped: metrics.skippedCount,
+      failed: metrics.errorsCount,
+      filtered: metrics.filtered
+    },
+    items: metrics.itemsCount,
+    customers: metrics.customersCount,
+    customerCacheHits: metrics.customerCacheHits,
+    records: {
+      succeeded: metrics.recordsSucceeded,
+      retried: metrics.recordsRetried,
+      failed: metrics.recordsFailed,
+      unchanged: metrics.recordsUnchanged
+    },
+    stages: metrics.stages,
+    channels: metrics.channels,
+    errors: {
+      total: metrics.errorsCount,
+      byStage: errorsByStage,
+      byStatus: metrics.errorsByStatus
+    },
+    throughput: {
+      conversationsPerSecond: perSecond(metrics.conversationsCount),
+      recordsPerSecond: perSecond(metrics.recordsSucceeded)
+    },
+    redactions: metrics.redactions,
+    unknownItemTypes: metrics.unknownItemTypes
+  };
+}
+
+module.exports = RunHistory;
\ No newline at end of file
@@ -0,0 +1,162 @@
+const { requireOptional, createLock, lockedError, isExpired } = require('./state-store');
+
+/**
+ * State store backed by an object in S3 or an S3-compatible service such
+ * as MinIO (@aws-sdk/client-s3)
+ * 
+ * Object writes replace the whole object, so the state is never partially
+ * written. The lock is a `<key>.lock` object created with a conditional
+ * put (If-None-Match: *), which fails if the object already exists. Refreshes
+ * and takeovers of an expired lock are conditional on the lock's ETag
+ * (If-Match), so they fail if another process replaced the lock meanwhile.
+ */
+class S3StateStore {
+  /**
+   * Create a new S3 state store
+   * 
+   * @param {Object} options Store options
+   * @param {string} options.bucket Bucket name
+   * @param {string} options.key Object key of the state
+   * @param {string} [options.region] Bucket region
+   * @param {string} [options.endpoint] Endpoint of an S3-compatible service
+   * @param {boolean} [options.forcePathStyle] Use path-style URLs (default: true when an endpoint is set)
+   * @param {string} [options.accessKeyId] Access key; the default AWS credential chain is used when not set
+   * @param {string} [options.secretAccessKey] Secret key
+   */
+  constructor(options = {}) {
+    const s3 = requireOptional('@aws-sdk/client-s3', 's3');
+    
+    this.commands = s3;
+    this.bucket = options.bucket;
+    this.key = options.key || 'import-state.json';
+    this.lockKey = `${this.key}.lock`;
+    this.heldLock = null;
+    this.heldEtag = null;
+    
+    this.client = new s3.S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint),
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  async read() {
+    return this._getJson(this.key);
+  }
+
+  async write(state) {
+    await this._putJson(this.key, state);
+  }
+
+  async remove() {
+    await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: this.key }));
+  }
+
+  async lock(ttl) {
+    const lock = createLock(ttl);
+    let conditions = { IfNoneMatch: '*' };
+    
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const response = await this._putJson(this.lockKey, lock, conditions);
+        this.heldLock = lock;
+        this.heldEtag = response.ETag;
+        return;
+      } catch (error) {
+        if (!this._isConflict(error)) {
+          throw new Error(`Failed to create lock object ${this.lockKey}: ${error.message}`);
+        }
+      }
+      
+      const { data: existing, etag } = await this._getObject(this.lockKey);
+      if (existing && !isExpired(existing)) {
+        throw lockedError(existing);
+      }
+      
+      // Left behind by a process that died without unlocking; replaced only if
+      // no other process replaced it since it was read
+      conditions = existing ? { IfMatch: etag } : { IfNoneMatch: '*' };
+    }
+    
+    throw new Error(`Failed to take lock object ${this.lockKey}`);
+  }
+
+  async refreshLock(ttl) {
+    if (!this.heldLock) {
+      throw new Error('State lock was lost');
+    }
+    
+    const refreshed = { ...this.heldLock, expiresAt: new Date(Date.now() + ttl).toISOString() };
+    let response;
+    try {
+      response = await this._putJson(this.lockKey, refreshed, { IfMatch: this.heldEtag });
+    } catch (error) {
+      if (this._isConflict(error) || this._status(error) === 404) {
+        throw new Error('State lock was lost');
+      }
+      throw new Error(`Failed to refresh lock object ${this.lockKey}: ${error.message}`);
+    }
+    
+    this.heldLock = refreshed;
+    this.heldEtag = response.ETag;
+  }
+
+  async unlock() {
+    const existing = await this._getJson(this.lockKey);
+    if (this.heldLock && existing && existing.token === this.heldLock.token) {
+      await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: this.lockKey }));
+    }
+    this.heldLock = null;
+    this.heldEtag = null;
+  }
+
+  async close() {
+    this.client.destroy();
+  }
+
+  async _getJson(key) {
+    return (await this._getObject(key)).data;
+  }
+
+  // { data, etag }, with data null when the object does not exist
+  async _getObject(key) {
+    let response;
+    try {
+      response = await this.client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      if (this._status(error) === 404) return { data: null, etag: null };
+      throw new Error(`Failed to read s3://${this.bucket}/${key}: ${error.message}`);
+    }
+    
+    const body = await response.Body.transformToString();
+    try {
+      return { data: JSON.parse(body), etag: response.ETag };
+    } catch (error) {
+      throw new Error(`s3://${this.bucket}/${key} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  async _putJson(key, data, conditions = {}) {
+    return this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: JSON.stringify(data, null, 2),
+      ContentType: 'application/json',
+      ...conditions
+    }));
+  }
+
+  _status(error) {
+    return error.$metadata && error.$metadata.httpStatusCode;
+  }
+
+  // 412 when a condition failed, 409 when a concurrent conditional write won
+  _isConflict(error) {
+    return [409, 412].includes(this._status(error));
+  }
+}
+
+module.exports = S3StateStore;
\ No newline at end of file
@@ -0,0 +1,133 @@
+const cronParser = require('cron-parser');
+const logger = require('./logger');
+
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Runs a task on a cron expression or a fixed interval until stopped
+ * 
+ * Runs never overlap: the next run is scheduled only after the current one
+ * finishes, and a run time that passed meanwhile is skipped. After a failed
+ * run the next one waits at least the backoff, which doubles with every
+ * consecutive failure up to maxBackoff.
+ */
+class Scheduler {
+  /**
+   * Create a new scheduler
+   * 
+   * @param {Object} options Schedule options
+   * @param {string} [options.cron] Cron expression (5 or 6 fields)
+   * @param {string} [options.timezone] Time zone the cron expression is read in (default: local)
+   * @param {number} [options.interval] Milliseconds between the end of one run and the start of the next
+   * @param {number} [options.backoff] Milliseconds to wait after the first failed run (default: 1 minute)
+   * @param {number} [options.maxBackoff] Longest wait after consecutive failures (default: 1 hour)
+   * @throws {Error} If neither or both of cron and interval are set, or the cron expression is invalid
+   */
+  constructor(options = {}) {
+    if (Boolean(options.cron) === Boolean(options.interval)) {
+      throw new Error('Set exactly one of schedule.cron and schedule.interval');
+    }
+    
+    if (options.cron) {
+      try {
+        cronParser.parseExpression(options.cron, { tz: options.timezone });
+      } catch (error) {
+        throw new Error(`Invalid cron expression "${options.cron}": ${error.message}`);
+      }
+    }
+    
+    this.cron = options.cron || null;
+    this.timezone = options.timezone;
+    this.interval = options.interval || null;
+    this.backoff = options.backoff || 60000;
+    this.maxBackoff = options.maxBackoff || 3600000;
+    this.failures = 0;
+    this.stopping = false;
+    this.wake = null;
+  }
+
+  /**
+   * Run the task on schedule until stop() is called
+   * 
+   * An interval schedule runs the task once straight away; a cron schedule
+   * waits for its first matching time.
+   * 
+   * @param {Function} task Async function run on every tick; a rejection counts as a failure
+   */
+  async run(task) {
+    let nextRun = this.cron ? this._nextCronTime(new Date()) : new Date();
+    
+    while (!this.stopping) {
+      if (nextRun > new Date()) {
+        logger.info(`Next run at ${nextRun.toISOString()}`);
+      }
+      
+      // setTimeout cannot wait longer than about 24 days in one go
+      while (!this.stopping && nextRun > new Date()) {
+        await this._sleep(Math.min(nextRun.getTime() - Date.now(), MAX_TIMEOUT));
+      }
+      if (this.stopping) break;
+      
+      try {
+        await task();
+        this.failures = 0;
+      } catch (error) {
+        this.failures++;
+        logger.error(`Scheduled run failed (${this.failures} in a row): ${error.message}`);
+      }
+      
+      nextRun = this._nextRunTime();
+    }
+    
+    logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Stop scheduling; a run in progress is left to finish
+   */
+  stop() {
+    this.stopping = true;
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  _nextRunTime() {
+    const now = new Date();
+    const scheduled = this.cron ? this._nextCronTime(now) : new Date(now.getTime() + this.interval);
+    
+    if (this.failures === 0) {
+      return scheduled;
+    }
+    
+    const backoff = Math.min(this.backoff * Math.pow(2, this.failures - 1), this.maxBackoff);
+    const earliest = new Date(now.getTime() + backoff);
+    if (earliest <= scheduled) {
+      return scheduled;
+    }
+    
+    logger.warn(`Backing off for ${Math.round(backoff / 1000)}s after ${this.failures} failed runs`);
+    return this.cron ? this._nextCronTime(earliest) : earliest;
+  }
+
+  _nextCronTime(after) {
+    return cronParser.parseExpression(this.cron, { currentDate: after, tz: this.timezone }).next().toDate();
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wake = null;
+        resolve();
+      }, ms);
+      
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+}
+
+module.exports = Scheduler;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { requireOptional, createLock, lockedError, isExpired } = require('./state-store');
+
+/**
+ * State store backed by a SQLite database (better-sqlite3)
+ * 
+ * The state is one row keyed by `key`, so several importers can share a
+ * database. The lock is a row in a second table, taken in an immediate
+ * transaction so two processes cannot both see it free.
+ */
+class SqliteStateStore {
+  /**
+   * Create a new SQLite state store
+   * 
+   * @param {Object} options Store options
+   * @param {string} options.path Path to the database file
+   * @param {string} [options.key] Row key for this importer's state (default: default)
+   */
+  constructor(options = {}) {
+    const Database = requireOptional('better-sqlite3', 'sqlite');
+    
+    this.dbPath = options.path || './import-state.db';
+    this.key = options.key || 'default';
+    this.heldLock = null;
+    
+    fs.mkdirSync(path.dirname(path.resolve(this.dbPath)), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS import_state (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS import_lock (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+  }
+
+  async read() {
+    const row = this.db.prepare('SELECT data FROM import_state WHERE key = ?').get(this.key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async write(state) {
+    this.db.prepare(`
+      INSERT INTO import_state (key, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(this.key, JSON.stringify(state), new Date().toISOString());
+  }
+
+  async remove() {
+    this.db.prepare('DELETE FROM import_state WHERE key = ?').run(this.key);
+  }
+
+  async lock(ttl) {
+    const lock = createLock(ttl);
+    
+    const take = this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM import_lock WHERE key = ?').get(this.key);
+      const existing = row ? JSON.parse(row.data) : null;
+      if (!isExpired(existing)) {
+        throw lockedError(existing);
+      }
+      
+      this.db.prepare('INSERT OR REPLACE INTO import_lock (key, data) VALUES (?, ?)').run(this.key, JSON.stringify(lock));
+    });
+    
+    take.immediate();
+    this.heldLock = lock;
+  }
+
+  async refreshLock(ttl) {
+    if (!this.heldLock) {
+      throw new Error('State lock was lost');
+    }
+    
+    const refreshed = { ...this.heldLock, expiresAt: new Date(Date.now() + ttl).toISOString() };
+    const result = this.db.prepare(`
+      UPDATE import_lock SET data = ? WHERE key = ? AND json_extract(data, '$.token') = ?
+    `).run(JSON.stringify(refreshed), this.key, this.heldLock.token);
+    
+    if (result.changes === 0) {
+      throw new Error('State lock was lost');
+    }
+    this.heldLock = refreshed;
+  }
+
+  async unlock() {
+    if (this.heldLock) {
+      this.db.prepare(`
+        DELETE FROM import_lock WHERE key = ? AND json_extract(data, '$.token') = ?
+      `).run(this.key, this.heldLock.token);
+    }
+    this.heldLock = null;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStateStore;
\ No newline at end of file
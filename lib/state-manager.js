@@ -1,15 +1,103 @@
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('./logger');
+const prometheus = require('./prometheus');
+const FileStateStore = require('./file-state-store');
 
 class StateManager {
   /**
    * Create a new state manager
    * 
-   * @param {string} stateFilePath Path to the state file
+   * The state holds the watermark (lastImportTime), the conversations that
+   * were imported with their updatedAt, the conversations that failed and
+   * a cursor describing the run in progress, if any. Where it is kept is up
+   * to the store (see state-store.js).
+   * 
+   * Imported conversations are forgotten once they were imported longer
+   * than the retention ago, so the state does not grow with every
+   * conversation ever imported; failed ones once they failed
+   * maxFailedAttempts times.
+   * 
+   * @param {Object|string} store State store, or a path to keep the state in a local file
+   * @param {Object} [options] Options
+   * @param {number} [options.lockTtl] Milliseconds the lock lasts unless refreshed (default: 10 minutes)
+   * @param {number} [options.retention] Milliseconds an imported conversation is remembered (default: 30 days)
+   * @param {number} [options.maxFailedAttempts] Attempts after which a failed conversation is no longer retried (default: 5)
+   */
+  constructor(store, options = {}) {
+    this.store = typeof store === 'string' ? new FileStateStore({ path: store }) : store;
+    this.lockTtl = options.lockTtl || 600000;
+    this.retention = options.retention || 2592000000;
+    this.maxFailedAttempts = options.maxFailedAttempts || 5;
+    this.lockTimer = null;
+    this.lockLost = false;
+    this.state = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the state from the store into memory
+   * 
+   * A store that cannot be read is an error rather than an empty state, so
+   * an outage never restarts the import from scratch.
+   * 
+   * @returns {Object} The current state
+   */
+  async load() {
+    if (this.state) {
+      return this.state;
+    }
+    
+    let state;
+    try {
+      state = await this.store.read();
+    } catch (error) {
+      throw new Error(`Failed to load import state: ${error.message}`);
+    }
+    
+    if (!state) {
+      logger.debug('No saved import state found');
+      state = {};
+    }
+    
+    this.state = {
+      lastImportTime: state.lastImportTime || null,
+      updatedAt: state.updatedAt || null,
+      imported: state.imported || {},
+      failed: state.failed || {},
+      cursor: state.cursor || null
+    };
+    prometheus.setWatermark(this.state.lastImportTime);
+    
+    return this.state;
+  }
+
+  /**
+   * Write the in-memory state to the store
+   * 
+   * Saves are serialized so concurrent checkpoints never interleave. Once
+   * the lock was lost nothing is written, since another process may own
+   * the state by now.
+   * 
+   * @throws {Error} If the lock was lost or the store could not be written
    */
-  constructor(stateFilePath) {
-    this.stateFilePath = stateFilePath;
+  async save() {
+    if (this.lockLost) {
+      throw new Error('Failed to save import state: the state lock was lost');
+    }
+    
+    const write = async () => {
+      const state = await this.load();
+      this._prune(state);
+      state.updatedAt = new Date().toISOString();
+      await this.store.write(state);
+    };
+    
+    this.saving = this.saving.then(write, write);
+    
+    try {
+      await this.saving;
+    } catch (error) {
+      throw new Error(`Failed to save import state: ${error.message}`);
+    }
   }
 
   /**
@@ -18,52 +106,251 @@ class StateManager {
    * @returns {string|null} ISO string of last import time or null if no previous import
    */
   async getLastImportTime() {
-    try {
-      await fs.access(this.stateFilePath);
-      
-      const data = await fs.readFile(this.stateFilePath, 'utf8');
-      const state = JSON.parse(data);
-      
-      if (state && state.lastImportTime) {
-        logger.debug(`Found last import time: ${state.lastImportTime}`);
-        return state.lastImportTime;
-      }
-      
-      logger.debug('No last import time found in state file');
-      return null;
-    } catch (error) {
-      logger.debug(`State file not available: ${error.message}`);
-      return null;
+    const state = await this.load();
+    
+    if (state.lastImportTime) {
+      logger.debug(`Found last import time: ${state.lastImportTime}`);
+      return state.lastImportTime;
     }
+    
+    logger.debug('No last import time found in state');
+    return null;
   }
 
   /**
    * Update the last import time
    * 
    * @param {Date} timestamp Timestamp of the successful import
-   * @returns {boolean} True if successful
+   * @throws {Error} If the state could not be saved; the watermark is left as it was
    */
   async updateLastImportTime(timestamp) {
+    const isoTimestamp = timestamp instanceof Date
+      ? timestamp.toISOString()
+      : new Date(timestamp).toISOString();
+    
+    const state = await this.load();
+    const previous = state.lastImportTime;
+    state.lastImportTime = isoTimestamp;
+    
     try {
-      const isoTimestamp = timestamp instanceof Date 
-        ? timestamp.toISOString() 
-        : new Date(timestamp).toISOString();
-      
-      const dir = path.dirname(this.stateFilePath);
-      await fs.mkdir(dir, { recursive: true });
-      
-      const state = {
-        lastImportTime: isoTimestamp,
-        updatedAt: new Date().toISOString()
-      };
-      
-      await fs.writeFile(this.stateFilePath, JSON.stringify(state, null, 2), 'utf8');
-      logger.debug(`Updated last import time to ${isoTimestamp}`);
-      return true;
+      await this.save();
     } catch (error) {
-      logger.error(`Failed to update state file: ${error.message}`);
+      state.lastImportTime = previous;
+      throw error;
+    }
+    
+    prometheus.setWatermark(isoTimestamp);
+    logger.debug(`Updated last import time to ${isoTimestamp}`);
+  }
+
+  /**
+   * Check whether a conversation was already imported at this version
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @param {string} [updatedAt] The conversation's current updatedAt
+   * @param {string} [source] Only count imports made by this source (e.g. webhook)
+   * @returns {boolean} True if imported with the same or a newer updatedAt
+   */
+  async isImported(conversationId, updatedAt, source) {
+    const state = await this.load();
+    const entry = state.imported[conversationId];
+    
+    if (!entry || (source && entry.source !== source)) {
+      return false;
+    }
+    
+    if (!updatedAt || !entry.updatedAt) {
+      return true;
+    }
+    
+    return new Date(entry.updatedAt) >= new Date(updatedAt);
+  }
+
+  /**
+   * Record a conversation as imported, clearing any earlier failure
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @param {string} [updatedAt] The updatedAt of the imported version
+   * @param {string} [source] What imported it, when not a polling run (e.g. webhook)
+   * @param {Object} [hashes] Content hash of each record sent for it, by record id
+   */
+  async markImported(conversationId, updatedAt, source, hashes) {
+    const state = await this.load();
+    
+    state.imported[conversationId] = {
+      updatedAt: updatedAt || null,
+      importedAt: new Date().toISOString()
+    };
+    if (source) {
+      state.imported[conversationId].source = source;
+    }
+    if (hashes && Object.keys(hashes).length > 0) {
+      state.imported[conversationId].hashes = hashes;
+    }
+    delete state.failed[conversationId];
+    
+    if (state.cursor) {
+      state.cursor.processedCount++;
+    }
+  }
+
+  /**
+   * Record a conversation as left out by the import filters, clearing any
+   * earlier failure
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @param {string} [updatedAt] The updatedAt of the filtered version
+   * @param {string} reason Filter that left it out
+   */
+  async markFiltered(conversationId, updatedAt, reason) {
+    const state = await this.load();
+    
+    state.imported[conversationId] = {
+      updatedAt: updatedAt || null,
+      importedAt: new Date().toISOString(),
+      filtered: reason
+    };
+    delete state.failed[conversationId];
+    
+    if (state.cursor) {
+      state.cursor.processedCount++;
+    }
+  }
+
+  /**
+   * Record a conversation as failed so a later run can retry it
+   * 
+   * After maxFailedAttempts failures it is dropped from the retry list
+   * instead; whatever reached the dead-letter queue stays there.
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @param {Error} error The error that made the conversation fail
+   * @param {string} [updatedAt] The updatedAt of the version that failed
+   * @returns {boolean} True if the conversation will be retried
+   */
+  async markFailed(conversationId, error, updatedAt) {
+    const state = await this.load();
+    const previous = state.failed[conversationId];
+    const attempts = previous ? previous.attempts + 1 : 1;
+    
+    if (state.cursor) {
+      state.cursor.processedCount++;
+    }
+    
+    if (attempts >= this.maxFailedAttempts) {
+      delete state.failed[conversationId];
+      logger.warn(`Conversation ${conversationId} failed ${attempts} times; no longer retrying it: ${error.message}`);
       return false;
     }
+    
+    state.failed[conversationId] = {
+      updatedAt: updatedAt || null,
+      error: error.message,
+      attempts,
+      failedAt: new Date().toISOString()
+    };
+    return true;
+  }
+
+  /**
+   * Stop retrying a failed conversation, e.g. because Gladly no longer has it
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   */
+  async removeFailed(conversationId) {
+    const state = await this.load();
+    delete state.failed[conversationId];
+  }
+
+  /**
+   * Get the ids of conversations that failed in earlier runs
+   * 
+   * @returns {Array} Gladly conversation IDs
+   */
+  async getFailedIds() {
+    const state = await this.load();
+    return Object.keys(state.failed);
+  }
+
+  /**
+   * Get the number of imported conversations remembered
+   * 
+   * @returns {number} Number of entries
+   */
+  async getImportedCount() {
+    const state = await this.load();
+    return Object.keys(state.imported).length;
+  }
+
+  /**
+   * Get the time before which imported conversations are forgotten; a
+   * conversation last updated before it may have been imported without
+   * an entry left to show for it
+   * 
+   * @returns {Date} Retention cutoff
+   */
+  getRetentionCutoff() {
+    return new Date(Date.now() - this.retention);
+  }
+
+  /**
+   * Get the content hashes of the records last sent for a conversation
+   * 
+   * @param {string} conversationId Gladly conversation ID
+   * @returns {Object} Record id -> content hash, empty if none were kept
+   */
+  async getRecordHashes(conversationId) {
+    const state = await this.load();
+    const entry = state.imported[conversationId];
+    return (entry && entry.hashes) || {};
+  }
+
+  /**
+   * Get every imported conversation with the version that was imported
+   * 
+   * @returns {Object} Gladly conversation ID -> { updatedAt, importedAt, source }
+   */
+  async getImported() {
+    const state = await this.load();
+    return state.imported;
+  }
+
+  /**
+   * Get the cursor of an interrupted run
+   * 
+   * @returns {Object|null} Cursor with the run's window and progress, or null
+   */
+  async getCursor() {
+    const state = await this.load();
+    return state.cursor;
+  }
+
+  /**
+   * Start tracking a run so it can be resumed if interrupted
+   * 
+   * @param {Object} cursor Run description
+   * @param {string} cursor.startDate Start of the run's window (ISO 8601)
+   * @param {string} cursor.endDate End of the run's window (ISO 8601)
+   * @param {boolean} cursor.isFullImport Whether the run is a full import
+   */
+  async setCursor(cursor) {
+    const state = await this.load();
+    
+    state.cursor = {
+      processedCount: 0,
+      startedAt: new Date().toISOString(),
+      ...cursor
+    };
+    
+    await this.save();
+  }
+
+  /**
+   * Clear the cursor once a run has finished
+   */
+  async clearCursor() {
+    const state = await this.load();
+    state.cursor = null;
   }
 
   /**
@@ -73,12 +360,8 @@ class StateManager {
    */
   async resetState() {
     try {
-      try {
-        await fs.access(this.stateFilePath);
-        await fs.unlink(this.stateFilePath);
-      } catch (e) {
-      }
-      
+      await this.store.remove();
+      this.state = null;
       logger.info('Import state has been reset');
       return true;
     } catch (error) {
@@ -86,6 +369,79 @@ class StateManager {
       return false;
     }
   }
+
+  /**
+   * Take the state lock so no other process imports at the same time
+   * 
+   * The lock expires after the lock TTL so a crashed process cannot hold it
+   * forever; while held it is refreshed in the background. If a refresh
+   * fails, lockLost is set: the importer stops and save() writes nothing.
+   * 
+   * @throws {Error} If another process holds the lock
+   */
+  async acquireLock() {
+    await this.store.lock(this.lockTtl);
+    
+    // Another process may have changed the state while we did not hold the lock
+    this.state = null;
+    this.lockLost = false;
+    
+    this.lockTimer = setInterval(() => {
+      this.store.refreshLock(this.lockTtl).catch(error => {
+        // The lock may have expired and been taken, so stop writing rather than risk two writers
+        logger.error(`Failed to refresh state lock, stopping: ${error.message}`);
+        this.lockLost = true;
+        clearInterval(this.lockTimer);
+      });
+    }, Math.max(Math.floor(this.lockTtl / 3), 1000));
+    this.lockTimer.unref();
+    
+    logger.debug('Acquired state lock');
+  }
+
+  /**
+   * Release the state lock, if held
+   */
+  async releaseLock() {
+    if (!this.lockTimer) {
+      return;
+    }
+    
+    clearInterval(this.lockTimer);
+    this.lockTimer = null;
+    
+    try {
+      await this.store.unlock();
+      logger.debug('Released state lock');
+    } catch (error) {
+      logger.warn(`Failed to release state lock: ${error.message}`);
+    }
+  }
+
+  // Forget conversations imported before the retention cutoff
+  _prune(state) {
+    const cutoff = this.getRetentionCutoff().getTime();
+    let pruned = 0;
+    
+    for (const [conversationId, entry] of Object.entries(state.imported)) {
+      if (new Date(entry.importedAt).getTime() < cutoff) {
+        delete state.imported[conversationId];
+        pruned++;
+      }
+    }
+    
+    if (pruned > 0) {
+      logger.debug(`Forgot ${pruned} conversations imported before ${new Date(cutoff).toISOString()}`);
+    }
+  }
+
+  /**
+   * Release the lock and close the store's connections
+   */
+  async close() {
+    await this.releaseLock();
+    await this.store.close();
+  }
 }
 
 module.exports = StateManager;
\ No newline at end of file
@@ -0,0 +1,100 @@
+const os = require('os');
+const crypto = require('crypto');
+
+// Loaded on demand so unused backends never require their packages
+const BACKENDS = {
+  file: () => require('./file-state-store'),
+  sqlite: () => require('./sqlite-state-store'),
+  s3: () => require('./s3-state-store'),
+  redis: () => require('./redis-state-store')
+};
+
+/**
+ * State stores keep the import state as one JSON document and guard it
+ * with a lock so only one process imports at a time. Every store has the
+ * same interface:
+ * 
+ * - read() resolves to the state, or null when nothing was saved yet
+ * - write(state) replaces the saved state atomically
+ * - remove() deletes the saved state
+ * - lock(ttl) takes the lock for ttl milliseconds, throwing if another process holds it
+ * - refreshLock(ttl) extends a held lock, throwing if it was lost
+ * - unlock() releases a held lock
+ * - close() releases connections
+ * 
+ * Backends other than file need an optional package, which is only loaded
+ * when that backend is selected.
+ */
+
+/**
+ * Create the state store selected by `backend`
+ * 
+ * @param {Object} stateConfig The `state` config section
+ * @param {string} stateConfig.backend file, sqlite, s3 or redis
+ * @returns {Object} State store
+ * @throws {Error} If the backend is unknown or its package is not installed
+ */
+function createStateStore(stateConfig) {
+  const backend = stateConfig.backend || 'file';
+  
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown state backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  
+  const Store = BACKENDS[backend]();
+  return new Store(stateConfig[backend] || {});
+}
+
+/**
+ * Load an optional dependency, explaining how to install it when missing
+ * 
+ * @param {string} name Package name
+ * @param {string} backend Backend that needs it
+ * @returns {*} The package
+ */
+function requireOptional(name, backend) {
+  try {
+    return require(name);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`The ${backend} state backend needs the ${name} package. Install it with: npm install ${name}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Describe a new lock held by this process
+ * 
+ * @param {number} ttl Milliseconds until the lock expires unless refreshed
+ * @returns {Object} owner, token, acquiredAt and expiresAt
+ */
+function createLock(ttl) {
+  const now = Date.now();
+  
+  return {
+    owner: `${os.hostname()}:${process.pid}`,
+    token: crypto.randomBytes(16).toString('hex'),
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl).toISOString()
+  };
+}
+
+function lockedError(lock) {
+  const error = new Error(`Import state is locked by ${lock.owner} until ${lock.expiresAt}; is another import running?`);
+  error.locked = true;
+  return error;
+}
+
+function isExpired(lock) {
+  return !lock || !lock.expiresAt || new Date(lock.expiresAt).getTime() <= Date.now();
+}
+
+module.exports = {
+  BACKENDS: Object.keys(BACKENDS),
+  createStateStore,
+  requireOptional,
+  createLock,
+  lockedError,
+  isExpired
+};
\ No newline at end of file
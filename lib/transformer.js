@@ -1,10 +1,64 @@
 const logger = require('./logger');
+const jsonPath = require('./json-path');
+const { cleanEmailBody } = require('./email-text');
+
+const GRANULARITIES = ['conversation', 'item', 'turn'];
+
+// Direct messages on social and messaging apps, with their label in the flat content
+const SOCIAL_TYPES = {
+  'TWITTER': 'TWITTER DM',
+  'FACEBOOK_MESSENGER': 'FACEBOOK MESSENGER',
+  'INSTAGRAM_DIRECT': 'INSTAGRAM DM',
+  'WHATSAPP': 'WHATSAPP'
+};
+
+// Item types that record something happening to the conversation rather than a message
+const EVENT_TYPES = ['TOPIC_CHANGE', 'CONVERSATION_STATUS_CHANGE', 'CONVERSATION_ASSIGNMENT', 'CHAT_EVENT', 'IVR_EVENT'];
+
+const LOOKUP_NAMES = {
+  topics: 'topic',
+  agents: 'agent',
+  inboxes: 'inbox'
+};
+
+const KNOWN_TYPES = [
+  'CHAT_MESSAGE',
+  'EMAIL',
+  'SMS',
+  'PHONE_CALL',
+  'VOICEMAIL',
+  'CONVERSATION_NOTE',
+  'CUSTOMER_ACTIVITY',
+  ...Object.keys(SOCIAL_TYPES),
+  ...EVENT_TYPES
+];
 
 /**
  * Transformer for converting Gladly data to Enterpret format
  */
 class Transformer {
-  constructor() {
+  /**
+   * Create a new transformer
+   * 
+   * @param {Object} [mapping] Field mapping (see lib/mapping.js); defaults reproduce the built-in shape
+   * @param {Object} [options] Transform options
+   * @param {string} [options.granularity] One record per conversation (default), per customer item or per customer turn
+   * @param {boolean} [options.includeContext] Keep agent messages and notes as a context field in item and turn records
+   * @throws {Error} If the granularity is unknown
+   */
+  constructor(mapping = {}, options = {}) {
+    this.mapping = mapping;
+    this.granularity = options.granularity || 'conversation';
+    this.includeContext = options.includeContext !== false;
+    this.unknownItemTypes = {};
+    this.lookups = null;
+    this.warnedIds = new Set();
+    
+    if (!GRANULARITIES.includes(this.granularity)) {
+      throw new Error(`Unknown granularity "${this.granularity}". Use one of: ${GRANULARITIES.join(', ')}`);
+    }
+    
+    this.idPrefix = mapping.idPrefix !== undefined ? mapping.idPrefix : 'gladly_';
     this.channelMap = {
       'CHAT_MESSAGE': 'chat',
       'EMAIL': 'email',
@@ -15,12 +69,72 @@ class Transformer {
       'WHATSAPP': 'messaging',
       'PHONE_CALL': 'voice',
       'VOICEMAIL': 'voice',
-      'CUSTOMER_ACTIVITY': 'other'
+      'CUSTOMER_ACTIVITY': 'other',
+      'CHAT_EVENT': 'chat',
+      'IVR_EVENT': 'voice',
+      ...(mapping.channelMap || {})
     };
   }
 
   /**
-   * Transform a Gladly conversation into Enterpret's format
+   * Transform a Gladly conversation into Enterpret records at the
+   * configured granularity
+   * 
+   * @param {Object} conversation Gladly conversation object
+   * @param {Array} items Gladly conversation items
+   * @param {Object} customer Gladly customer profile
+   * @param {Object} [unknownItemTypes] Counts of unsupported item types to add to (default: this.unknownItemTypes)
+   * @returns {Array} Transformed records; empty when an item or turn conversation has no customer text
+   */
+  transform(conversation, items, customer, unknownItemTypes = this.unknownItemTypes) {
+    this._countUnknownTypes(conversation, items, unknownItemTypes);
+    
+    if (this.granularity === 'conversation') {
+      return [this.transformConversation(conversation, items, customer)];
+    }
+    
+    try {
+      return this._groupCustomerItems(items)
+        .map(group => this._transformGroup(conversation, group, items, customer));
+    } catch (error) {
+      logger.error(`Error transforming conversation ${conversation.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Use topic, agent and inbox lists (see GladlyClient#loadLookups) to send
+   * names instead of ids
+   * 
+   * @param {Object} lookups topics, agents and inboxes as Maps of id to object
+   */
+  setLookups(lookups) {
+    this.lookups = lookups;
+    this.warnedIds.clear();
+  }
+
+  /**
+   * Count items whose type the transformer has no handler for, warning the
+   * first time each type shows up; such items are left out of the record
+   * 
+   * @param {Object} conversation Gladly conversation object
+   * @param {Array} items Gladly conversation items
+   * @param {Object} counts Counts by item type to add to
+   */
+  _countUnknownTypes(conversation, items, counts) {
+    for (const item of items || []) {
+      const type = item.content && item.content.type;
+      if (!type || KNOWN_TYPES.includes(type)) continue;
+      
+      if (!counts[type]) {
+        logger.warn(`Unsupported conversation item type ${type} (first seen in conversation ${conversation.id}); items of this type are left out`);
+      }
+      counts[type] = (counts[type] || 0) + 1;
+    }
+  }
+
+  /**
+   * Transform a Gladly conversation into a single Enterpret record
    * 
    * @param {Object} conversation Gladly conversation object
    * @param {Array} items Gladly conversation items
@@ -32,47 +146,486 @@ class Transformer {
       const primaryChannel = this._determinePrimaryChannel(items);
       
       const transformedRecord = {
-        id: `gladly_${conversation.id}`,
+        id: `${this.idPrefix}${conversation.id}`,
         source: 'Gladly',
         channel: primaryChannel,
         timestamp: conversation.createdAt,
         status: conversation.status.toLowerCase(),
         metadata: {
           gladly_conversation_id: conversation.id,
-          inboxId: conversation.inboxId
+          inboxId: conversation.inboxId,
+          ...this._inboxFields(conversation.inboxId)
         }
       };
       
-      if (conversation.agentId) {
-        transformedRecord.agent = {
-          id: conversation.agentId
-        };
-      }
-      
-      if (customer) {
-        transformedRecord.customer = this._transformCustomer(customer);
-      }
-      
-      if (conversation.topicIds && conversation.topicIds.length > 0) {
-        transformedRecord.tags = conversation.topicIds;
-      }
+      Object.assign(transformedRecord, this._sharedFields(conversation, customer));
       
       transformedRecord.content = this._processConversationItems(items);
+      transformedRecord.messages = this._buildMessages(items);
       
       if (conversation.customAttributes && conversation.customAttributes.length > 0) {
         transformedRecord.customAttributes = this._transformCustomAttributes(conversation.customAttributes);
       }
       
-      return transformedRecord;
+      return this._applyMapping(transformedRecord, { conversation, items, customer });
     } catch (error) {
       logger.error(`Error transforming conversation ${conversation.id}: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Build one record for a customer item or turn
+   * 
+   * Ids are derived from the conversation id and the (first) item id, so
+   * they stay stable across runs; `parentId` is the id the whole
+   * conversation gets in conversation mode.
+   * 
+   * @param {Object} conversation Gladly conversation object
+   * @param {Object} group Customer items with their channel and context
+   * @param {Array} items All Gladly conversation items
+   * @param {Object} customer Gladly customer profile
+   * @returns {Object} Transformed record
+   */
+  _transformGroup(conversation, group, items, customer) {
+    const [firstItem] = group.items;
+    const parentId = `${this.idPrefix}${conversation.id}`;
+    
+    const record = {
+      id: this.granularity === 'turn' ? `${parentId}_turn_${firstItem.id}` : `${parentId}_${firstItem.id}`,
+      source: 'Gladly',
+      channel: group.channel,
+      timestamp: firstItem.timestamp,
+      status: conversation.status.toLowerCase(),
+      parentId,
+      metadata: {
+        gladly_conversation_id: conversation.id,
+        gladly_item_ids: group.items.map(item => item.id),
+        inboxId: conversation.inboxId,
+        ...this._inboxFields(conversation.inboxId)
+      },
+      ...this._sharedFields(conversation, customer),
+      content: group.items.map(item => this._itemTextWithAttachments(item)).join('\n\n')
+    };
+    
+    if (this.includeContext && group.contextItems.length > 0) {
+      record.context = group.contextItems.map(item => ({
+        role: this._itemRole(item),
+        timestamp: new Date(item.timestamp).toISOString(),
+        text: this._itemTextWithAttachments(item)
+      }));
+    }
+    
+    record.messages = this._buildMessages(this.includeContext ? [...group.items, ...group.contextItems] : group.items);
+    
+    if (conversation.customAttributes && conversation.customAttributes.length > 0) {
+      record.customAttributes = this._transformCustomAttributes(conversation.customAttributes);
+    }
+    
+    return this._applyMapping(record, { conversation, items, customer });
+  }
+
+  /**
+   * Group customer-authored items into records
+   * 
+   * In item mode every customer item with text is its own group. In turn
+   * mode consecutive customer items on the same channel are merged until an
+   * agent replies. Agent messages and notes become context of the group
+   * they follow (or of the first group when they come before any customer
+   * item); events such as topic or status changes are left out.
+   * 
+   * @param {Array} items Gladly conversation items
+   * @returns {Array} Groups of { channel, items, contextItems }
+   */
+  _groupCustomerItems(items) {
+    const sortedItems = [...(items || [])].sort((a, b) => 
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    
+    const groups = [];
+    const leadingContextItems = [];
+    let current = null;
+    
+    for (const item of sortedItems) {
+      if (!item.content) continue;
+      
+      const role = this._itemRole(item);
+      const text = this._itemTextWithAttachments(item);
+      if (!role || !text) continue;
+      
+      if (role === 'customer') {
+        const channel = this.channelMap[item.content.type] || 'other';
+        
+        if (this.granularity === 'turn' && current && !current.answered && current.channel === channel) {
+          current.items.push(item);
+          continue;
+        }
+        
+        current = { channel, items: [item], contextItems: groups.length === 0 ? leadingContextItems : [], answered: false };
+        groups.push(current);
+        continue;
+      }
+      
+      if (current) {
+        current.contextItems.push(item);
+        if (role === 'agent') current.answered = true;
+      } else {
+        leadingContextItems.push(item);
+      }
+    }
+    
+    return groups.map(({ channel, items: groupItems, contextItems }) => ({ channel, items: groupItems, contextItems }));
+  }
+
+  /**
+   * Who authored an item: customer, agent, note, or null for events
+   * 
+   * @param {Object} item Gladly conversation item
+   * @returns {string|null} Item role
+   */
+  _itemRole(item) {
+    if (item.content.type === 'CONVERSATION_NOTE') {
+      return 'note';
+    }
+    
+    const initiatorType = item.initiator ? item.initiator.type : null;
+    if (initiatorType === 'CUSTOMER') return 'customer';
+    if (initiatorType === 'AGENT') return 'agent';
+    return null;
+  }
+
+  /**
+   * Plain text of a message item, without timestamp or initiator prefixes
+   * 
+   * @param {Object} item Gladly conversation item
+   * @returns {string} Item text; empty for items without text
+   */
+  _itemText(item) {
+    const content = item.content;
+    
+    switch (content.type) {
+      case 'CHAT_MESSAGE':
+        return content.content || '';
+        
+      case 'EMAIL':
+        const body = cleanEmailBody(content);
+        return content.subject ? `Subject: ${content.subject}\n${body}` : body;
+        
+      case 'SMS':
+      case 'CONVERSATION_NOTE':
+        return content.body || '';
+        
+      case 'TWITTER':
+      case 'FACEBOOK_MESSENGER':
+      case 'INSTAGRAM_DIRECT':
+      case 'WHATSAPP':
+        return this._messageBody(content);
+        
+      case 'VOICEMAIL':
+        return this._voicemailTranscription(content) || '';
+        
+      case 'CUSTOMER_ACTIVITY':
+        return [content.title, content.body].filter(Boolean).join('\n');
+        
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Item text followed by a reference line per attachment
+   * 
+   * @param {Object} item Gladly conversation item
+   * @returns {string} Item text; empty for items with neither text nor attachments
+   */
+  _itemTextWithAttachments(item) {
+    return [this._itemText(item), ...this._attachmentReferences(item.content)].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Build the structured transcript of a set of items, in time order
+   * 
+   * Each entry has role (customer, agent, system or bot), channel,
+   * timestamp, text, subject and direction; calls add duration (seconds)
+   * and voicemails add transcription, both with the recording URL when
+   * there is one. Attachments are listed by reference, never inlined. Email
+   * text is the cleaned body, without quoted replies or signature. Items
+   * with neither text nor attachments are left out.
+   * 
+   * @param {Array} items Gladly conversation items
+   * @returns {Array} Messages
+   */
+  _buildMessages(items) {
+    const sortedItems = [...(items || [])].sort((a, b) => 
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    
+    const messages = [];
+    
+    for (const item of sortedItems) {
+      if (!item.content) continue;
+      
+      const type = item.content.type;
+      const text = type === 'EMAIL' ? cleanEmailBody(item.content) : (this._itemText(item) || this._eventText(item.content));
+      const attachments = this._attachments(item.content);
+      if (!text && attachments.length === 0 && type !== 'PHONE_CALL' && type !== 'VOICEMAIL') continue;
+      
+      const role = this._messageRole(item);
+      const message = {
+        role,
+        channel: this.channelMap[type] || 'other',
+        timestamp: new Date(item.timestamp).toISOString(),
+        text,
+        subject: item.content.subject || null,
+        direction: this._messageDirection(item, role)
+      };
+      
+      if (type === 'PHONE_CALL') {
+        message.duration = this._callDuration(item.content);
+      } else if (type === 'VOICEMAIL') {
+        message.transcription = this._voicemailTranscription(item.content);
+      }
+      
+      if (item.content.recordingUrl) {
+        message.recordingUrl = item.content.recordingUrl;
+      }
+      
+      if (attachments.length > 0) {
+        message.attachments = attachments;
+      }
+      
+      messages.push(message);
+    }
+    
+    return messages;
+  }
+
+  /**
+   * Transcript role of an item: system for events, customer, agent
+   * (including notes), bot for automated initiators, system for the rest
+   * 
+   * @param {Object} item Gladly conversation item
+   * @returns {string} Message role
+   */
+  _messageRole(item) {
+    const initiatorType = item.initiator ? item.initiator.type : null;
+    
+    if (EVENT_TYPES.includes(item.content.type)) return 'system';
+    if (item.content.type === 'CONVERSATION_NOTE' || initiatorType === 'AGENT') return 'agent';
+    if (initiatorType === 'CUSTOMER') return 'customer';
+    if (initiatorType === 'BOT' || initiatorType === 'AUTOMATED') return 'bot';
+    return 'system';
+  }
+
+  /**
+   * Message direction: Gladly's own when the item has one, otherwise
+   * inbound from customers, internal for notes and system events, and
+   * outbound for everything else
+   */
+  _messageDirection(item, role) {
+    if (item.content.direction) {
+      return item.content.direction.toLowerCase();
+    }
+    
+    if (role === 'customer') return 'inbound';
+    if (role === 'system' || item.content.type === 'CONVERSATION_NOTE') return 'internal';
+    return 'outbound';
+  }
+
+  _eventText(content) {
+    switch (content.type) {
+      case 'TOPIC_CHANGE':
+        return [
+          content.addedTopicIds && content.addedTopicIds.length > 0 ? `Topics added: ${this._topicNames(content.addedTopicIds)}` : '',
+          content.removedTopicIds && content.removedTopicIds.length > 0 ? `Topics removed: ${this._topicNames(content.removedTopicIds)}` : ''
+        ].filter(Boolean).join('; ');
+        
+      case 'CONVERSATION_STATUS_CHANGE':
+        return content.status ? `Status changed to ${content.status}` : '';
+        
+      case 'CONVERSATION_ASSIGNMENT':
+        if (!content.agentId && !content.inboxId) {
+          return 'Unassigned';
+        }
+        return [
+          'Assigned to',
+          content.agentId ? `agent ${this._agentName(content.agentId)}` : '',
+          content.agentId && content.inboxId ? 'in' : '',
+          content.inboxId ? `inbox ${this._inboxName(content.inboxId)}` : ''
+        ].filter(Boolean).join(' ');
+        
+      case 'CHAT_EVENT':
+      case 'IVR_EVENT':
+        return [
+          content.eventType,
+          content.menu || content.menuName,
+          content.selection ? `selected ${content.selection}` : '',
+          content.description
+        ].filter(Boolean).join(': ');
+        
+      default:
+        return '';
+    }
+  }
+
+  _messageBody(content) {
+    return content.content || content.body || content.text || '';
+  }
+
+  /**
+   * Attachments of an item as references (never their contents)
+   * 
+   * @param {Object} content Gladly item content
+   * @returns {Array} Attachments as { id, name, contentType, url }
+   */
+  _attachments(content) {
+    if (!Array.isArray(content.attachments)) {
+      return [];
+    }
+    
+    return content.attachments.map(attachment => ({
+      id: attachment.id || null,
+      name: attachment.filename || attachment.name || null,
+      contentType: attachment.contentType || attachment.mimeType || null,
+      url: attachment.url || null
+    }));
+  }
+
+  _attachmentReferences(content) {
+    return this._attachments(content).map(attachment => {
+      const type = attachment.contentType ? ` (${attachment.contentType})` : '';
+      const location = attachment.url ? ` ${attachment.url}` : '';
+      return `Attachment: ${attachment.name || attachment.id || 'unnamed'}${type}${location}`;
+    });
+  }
+
+  /**
+   * Call duration in seconds, from answer to completion
+   * 
+   * @param {Object} call Gladly phone call item content
+   * @returns {number|null} Duration, or null when the call was not answered or has not completed
+   */
+  _callDuration(call) {
+    if (!call.completedAt || !call.answeredAt) {
+      return null;
+    }
+    
+    return (new Date(call.completedAt) - new Date(call.answeredAt)) / 1000;
+  }
+
+  _voicemailTranscription(voicemail) {
+    return voicemail.transcription || voicemail.transcript || null;
+  }
+
+  /**
+   * Agent, customer and tags shared by every record of a conversation
+   * 
+   * Tags are topic names (full paths for nested topics) and the agent
+   * carries its name and email when the lookups know them.
+   * 
+   * @param {Object} conversation Gladly conversation object
+   * @param {Object} customer Gladly customer profile
+   * @returns {Object} Record fields
+   */
+  _sharedFields(conversation, customer) {
+    const fields = {};
+    
+    if (conversation.agentId) {
+      fields.agent = {
+        id: conversation.agentId
+      };
+      
+      const agent = this._lookup('agents', conversation.agentId);
+      if (agent && agent.name) fields.agent.name = agent.name;
+      if (agent && (agent.emailAddress || agent.email)) fields.agent.email = agent.emailAddress || agent.email;
+    }
+    
+    if (customer) {
+      fields.customer = this._transformCustomer(customer);
+    }
+    
+    if (conversation.topicIds && conversation.topicIds.length > 0) {
+      fields.tags = conversation.topicIds.map(topicId => this._topicPath(topicId));
+    }
+    
+    return fields;
+  }
+
+  /**
+   * Find a topic, agent or inbox by id, warning once per id that is missing
+   * 
+   * @param {string} kind topics, agents or inboxes
+   * @param {string} id Gladly id
+   * @returns {Object|null} The entry, or null when unknown or no lookups are loaded
+   */
+  _lookup(kind, id) {
+    if (!this.lookups || !this.lookups[kind]) {
+      return null;
+    }
+    
+    const entry = this.lookups[kind].get(id);
+    if (!entry && !this.warnedIds.has(`${kind}:${id}`)) {
+      this.warnedIds.add(`${kind}:${id}`);
+      logger.warn(`Unknown ${LOOKUP_NAMES[kind]} ${id}, sending the id instead of a name`);
+    }
+    
+    return entry || null;
+  }
+
+  /**
+   * Full path of a topic, e.g. "Account > Billing" for a Billing topic
+   * under Account; falls back to the id for unknown topics
+   * 
+   * @param {string} topicId Gladly topic ID
+   * @returns {string} Topic path
+   */
+  _topicPath(topicId) {
+    const names = [];
+    const seen = new Set();
+    let currentId = topicId;
+    
+    while (currentId && !seen.has(currentId)) {
+      seen.add(currentId);
+      
+      const topic = this._lookup('topics', currentId);
+      if (!topic) {
+        // Keep the part of the path that is known
+        if (names.length === 0) return topicId;
+        break;
+      }
+      
+      names.unshift(topic.name || topic.id);
+      currentId = topic.parentId;
+    }
+    
+    return names.join(' > ');
+  }
+
+  _topicNames(topicIds) {
+    return topicIds.map(topicId => this._topicPath(topicId)).join(', ');
+  }
+
+  _agentName(agentId) {
+    const agent = this._lookup('agents', agentId);
+    return (agent && agent.name) || agentId;
+  }
+
+  _inboxName(inboxId) {
+    const inbox = this._lookup('inboxes', inboxId);
+    return (inbox && inbox.name) || inboxId;
+  }
+
+  _inboxFields(inboxId) {
+    const inbox = inboxId ? this._lookup('inboxes', inboxId) : null;
+    return inbox && inbox.name ? { inboxName: inbox.name } : {};
+  }
+
   /**
    * Determine the primary channel based on conversation items
    * 
+   * Events such as chat or IVR events do not vote: a short chat can log more
+   * events than messages.
+   * 
    * @param {Array} items Gladly conversation items
    * @returns {string} Primary channel
    */
@@ -84,7 +637,7 @@ class Transformer {
     const channelCounts = {};
     
     for (const item of items) {
-      if (item.content && item.content.type) {
+      if (item.content && item.content.type && !EVENT_TYPES.includes(item.content.type)) {
         const channel = this.channelMap[item.content.type] || 'other';
         channelCounts[channel] = (channelCounts[channel] || 0) + 1;
       }
@@ -132,6 +685,19 @@ class Transformer {
       transformedCustomer.externalId = customer.externalCustomerId;
     }
     
+    // Ids merged into this profile, so Enterpret can dedupe the customer
+    if (customer.mergedFromIds && customer.mergedFromIds.length > 0) {
+      transformedCustomer.mergedFromIds = customer.mergedFromIds;
+    }
+    
+    if (this.mapping.customerFields) {
+      for (const field of Object.keys(transformedCustomer)) {
+        if (!this.mapping.customerFields.includes(field)) {
+          delete transformedCustomer[field];
+        }
+      }
+    }
+    
     return transformedCustomer;
   }
 
@@ -168,31 +734,44 @@ class Transformer {
           
         case 'EMAIL':
           const subject = item.content.subject ? `Subject: ${item.content.subject}\n` : '';
-          const bodyContent = item.content.bodyPlain || item.content.content || '';
-          formattedContent = `[${timestamp}] ${initiatorType} - EMAIL:\n${subject}${bodyContent}`;
+          formattedContent = `[${timestamp}] ${initiatorType} - EMAIL:\n${subject}${cleanEmailBody(item.content)}`;
           break;
           
         case 'SMS':
           formattedContent = `[${timestamp}] ${initiatorType} - SMS: ${item.content.body || ''}`;
           break;
           
+        case 'TWITTER':
+        case 'FACEBOOK_MESSENGER':
+        case 'INSTAGRAM_DIRECT':
+        case 'WHATSAPP':
+          formattedContent = `[${timestamp}] ${initiatorType} - ${SOCIAL_TYPES[type]}: ${this._messageBody(item.content)}`;
+          break;
+          
         case 'PHONE_CALL':
-          const duration = item.content.completedAt && item.content.answeredAt ? 
-            (new Date(item.content.completedAt) - new Date(item.content.answeredAt)) / 1000 : 'unknown';
+          const callDuration = this._callDuration(item.content);
+          const duration = callDuration !== null ? callDuration : 'unknown';
           formattedContent = `[${timestamp}] ${initiatorType} - CALL: Duration ${duration}s`;
           break;
           
+        case 'VOICEMAIL':
+          const transcription = this._voicemailTranscription(item.content);
+          formattedContent = `[${timestamp}] ${initiatorType} - VOICEMAIL: ${transcription || '(no transcription)'}`;
+          break;
+          
         case 'CONVERSATION_NOTE':
           formattedContent = `[${timestamp}] NOTE: ${item.content.body || ''}`;
           break;
           
         case 'TOPIC_CHANGE':
+          const topicChanges = [];
           if (item.content.addedTopicIds && item.content.addedTopicIds.length > 0) {
-            formattedContent = `[${timestamp}] TOPICS ADDED: ${item.content.addedTopicIds.join(', ')}`;
+            topicChanges.push(`[${timestamp}] TOPICS ADDED: ${this._topicNames(item.content.addedTopicIds)}`);
           }
           if (item.content.removedTopicIds && item.content.removedTopicIds.length > 0) {
-            formattedContent = `[${timestamp}] TOPICS REMOVED: ${item.content.removedTopicIds.join(', ')}`;
+            topicChanges.push(`[${timestamp}] TOPICS REMOVED: ${this._topicNames(item.content.removedTopicIds)}`);
           }
+          formattedContent = topicChanges.join('\n');
           break;
           
         case 'CONVERSATION_STATUS_CHANGE':
@@ -203,12 +782,31 @@ class Transformer {
           formattedContent = `[${timestamp}] ACTIVITY: ${item.content.title || ''}\n${item.content.body || ''}`;
           break;
           
+        case 'CONVERSATION_ASSIGNMENT':
+          formattedContent = `[${timestamp}] ASSIGNMENT: ${this._eventText(item.content)}`;
+          break;
+          
+        case 'CHAT_EVENT':
+          formattedContent = `[${timestamp}] CHAT EVENT: ${this._eventText(item.content)}`;
+          break;
+          
+        case 'IVR_EVENT':
+          formattedContent = `[${timestamp}] IVR: ${this._eventText(item.content)}`;
+          break;
+          
         default:
+          // Counted and reported by _countUnknownTypes
           continue;
       }
       
+      // Recordings and attachments are referenced, not inlined
+      const references = [
+        item.content.recordingUrl ? `Recording: ${item.content.recordingUrl}` : '',
+        ...this._attachmentReferences(item.content)
+      ].filter(Boolean);
+      
       if (formattedContent) {
-        contentParts.push(formattedContent);
+        contentParts.push([formattedContent, ...references].join('\n'));
       }
     }
     
@@ -228,14 +826,90 @@ class Transformer {
       return transformed;
     }
     
+    const { names = {}, dropUnmapped = false } = this.mapping.customAttributes || {};
+    
     for (const attr of customAttributes) {
       if (attr.id && attr.value !== undefined) {
-        transformed[attr.id] = attr.value;
+        if (names[attr.id]) {
+          transformed[names[attr.id]] = attr.value;
+        } else if (!dropUnmapped) {
+          transformed[attr.id] = attr.value;
+        }
       }
     }
     
     return transformed;
   }
+
+  /**
+   * Apply the configured static metadata, JSONPath extractions and field
+   * renames/drops to a transformed record
+   * 
+   * @param {Object} record Transformed record
+   * @param {Object} source Raw Gladly data ({ conversation, items, customer }) the extract expressions run against
+   * @returns {Object} The mapped record
+   */
+  _applyMapping(record, source) {
+    const { staticMetadata, extract, fields } = this.mapping;
+    
+    if (staticMetadata) {
+      record.metadata = { ...record.metadata, ...staticMetadata };
+    }
+    
+    if (extract) {
+      for (const [field, expression] of Object.entries(extract)) {
+        const value = jsonPath.evaluate(expression, source);
+        if (value !== undefined) {
+          this._setPath(record, field, value);
+        }
+      }
+    }
+    
+    if (fields) {
+      for (const [field, target] of Object.entries(fields)) {
+        const value = this._getPath(record, field);
+        if (value === undefined) continue;
+        
+        this._deletePath(record, field);
+        if (target !== null) {
+          this._setPath(record, target, value);
+        }
+      }
+    }
+    
+    return record;
+  }
+
+  _getPath(object, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  _setPath(object, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    let target = object;
+    
+    for (const key of keys) {
+      if (target[key] === null || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    
+    target[last] = value;
+  }
+
+  _deletePath(object, fieldPath) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.length > 0 ? this._getPath(object, keys.join('.')) : object;
+    
+    if (parent && typeof parent === 'object') {
+      delete parent[last];
+    }
+  }
 }
 
+Transformer.GRANULARITIES = GRANULARITIES;
+
 module.exports = Transformer;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Durable local queue of webhook events waiting to be imported
+ * 
+ * Events are grouped by what they affect: one JSON file per conversation
+ * or customer, named after its key (`conversation:<id>` or
+ * `customer:<id>`), so a burst of events leaves a single entry. A file is
+ * written before the webhook is acknowledged and removed only once the
+ * import succeeded, so events survive restarts.
+ */
+class WebhookQueue {
+  /**
+   * Create a new webhook queue
+   * 
+   * @param {string} directory Directory holding the queued entries
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.writes = new Map();
+  }
+
+  /**
+   * Add an event to the entry for its key, creating the entry if needed
+   * 
+   * @param {string} key conversation:<id> or customer:<id>
+   * @param {Object} event Gladly webhook event
+   * @returns {Object} The updated entry
+   */
+  async add(key, event) {
+    return this._serialize(key, async () => {
+      const previous = await this.get(key);
+      const now = new Date().toISOString();
+      
+      const entry = {
+        key,
+        eventCount: previous ? previous.eventCount + 1 : 1,
+        eventTypes: [...new Set([...(previous ? previous.eventTypes : []), event.type || 'unknown'])],
+        lastEventId: event.id || null,
+        firstReceivedAt: previous ? previous.firstReceivedAt : now,
+        lastReceivedAt: now
+      };
+      
+      await fs.mkdir(this.directory, { recursive: true });
+      const entryPath = this._entryPath(key);
+      await fs.writeFile(`${entryPath}.tmp`, JSON.stringify(entry, null, 2), 'utf8');
+      await fs.rename(`${entryPath}.tmp`, entryPath);
+      
+      return entry;
+    });
+  }
+
+  /**
+   * Get a single queued entry
+   * 
+   * @param {string} key Entry key
+   * @returns {Object|null} The entry, or null if there is none
+   */
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this._entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read webhook queue entry ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * List all queued entries, oldest first
+   * 
+   * @returns {Array} Queued entries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read webhook queue directory: ${error.message}`);
+    }
+    
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const entry = await this.get(decodeURIComponent(path.basename(file, '.json')));
+      if (entry) entries.push(entry);
+    }
+    
+    return entries.sort((a, b) => new Date(a.firstReceivedAt) - new Date(b.firstReceivedAt));
+  }
+
+  /**
+   * Remove an entry once its events are imported
+   * 
+   * An entry that received more events since it was read is kept, so
+   * those events are imported too.
+   * 
+   * @param {Object} entry Entry as returned by get or list
+   * @returns {boolean} True if the entry was removed
+   */
+  async remove(entry) {
+    return this._serialize(entry.key, async () => {
+      const current = await this.get(entry.key);
+      if (!current || current.lastReceivedAt !== entry.lastReceivedAt) {
+        return false;
+      }
+      
+      try {
+        await fs.unlink(this._entryPath(entry.key));
+        return true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error(`Failed to remove webhook queue entry ${entry.key}: ${error.message}`);
+        }
+        return false;
+      }
+    });
+  }
+
+  // Reads and writes of one entry never interleave
+  _serialize(key, operation) {
+    const previous = this.writes.get(key) || Promise.resolve();
+    const next = previous.then(operation, operation);
+    this.writes.set(key, next);
+    
+    const cleanup = () => {
+      if (this.writes.get(key) === next) this.writes.delete(key);
+    };
+    next.then(cleanup, cleanup);
+    
+    return next;
+  }
+
+  _entryPath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+}
+
+module.exports = WebhookQueue;
\ No newline at end of file
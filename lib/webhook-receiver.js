@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const WebhookQueue = require('./webhook-queue');
+const logger = require('./logger');
+
+/**
+ * Turns Gladly webhook events into imports of the affected conversations
+ * 
+ * Each request is checked against its HMAC-SHA256 signature and its event
+ * is written to the durable queue before it is acknowledged. Events for the
+ * same conversation (or customer) are debounced: the import runs once no
+ * new event arrived for `debounce` ms, but never later than `maxDelay` ms
+ * after the first one. Entries whose import fails stay queued and are
+ * retried after `retryDelay` ms; entries left from an earlier process are
+ * picked up on start.
+ */
+class WebhookReceiver {
+  /**
+   * Create a new webhook receiver
+   * 
+   * @param {Object} importer GladlyImporter used to import the affected conversations
+   * @param {Object} options Webhook options (the webhook config section)
+   * @param {string} options.secret Shared secret the signatures are made with
+   * @param {string} [options.signatureHeader] Header carrying the signature (default: x-gladly-signature)
+   * @param {string} [options.queuePath] Directory of the durable queue
+   * @param {number} [options.debounce] Quiet period before a conversation is imported (default: 30 seconds)
+   * @param {number} [options.maxDelay] Longest a queued event waits while events keep arriving (default: 5 minutes)
+   * @param {number} [options.retryDelay] Wait before retrying a failed import (default: 1 minute)
+   * @throws {Error} If no secret is configured
+   */
+  constructor(importer, options = {}) {
+    if (!options.secret) {
+      throw new Error('webhook.secret or WEBHOOK_SECRET is required to receive webhooks');
+    }
+    
+    this.importer = importer;
+    this.secret = options.secret;
+    this.signatureHeader = (options.signatureHeader || 'x-gladly-signature').toLowerCase();
+    this.queue = new WebhookQueue(options.queuePath || './data/webhook-queue');
+    this.debounce = options.debounce !== undefined ? options.debounce : 30000;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 300000;
+    this.retryDelay = options.retryDelay || 60000;
+    
+    // key -> { entry, dueAt } for everything waiting to be imported
+    this.pending = new Map();
+    this.timer = null;
+    this.flushing = null;
+    this.closed = false;
+  }
+
+  /**
+   * Schedule the entries left in the queue by an earlier process
+   * 
+   * @returns {number} Number of queued entries found
+   */
+  async start() {
+    const entries = await this.queue.list();
+    for (const entry of entries) {
+      this._schedule(entry);
+    }
+    
+    if (entries.length > 0) {
+      logger.info(`Resuming ${entries.length} queued webhook entries`);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Handle one webhook request
+   * 
+   * @param {Buffer} rawBody Request body exactly as received
+   * @param {Object} headers Request headers (lower-case names)
+   * @returns {Object} Response to send: status and body
+   */
+  async handle(rawBody, headers) {
+    if (this.closed) {
+      return { status: 503, body: { error: 'Shutting down' } };
+    }
+    
+    if (!this.verifySignature(rawBody, headers[this.signatureHeader])) {
+      logger.warn('Rejected webhook with a missing or invalid signature');
+      return { status: 401, body: { error: 'Invalid signature' } };
+    }
+    
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return { status: 400, body: { error: 'Body is not valid JSON' } };
+    }
+    
+    const events = Array.isArray(payload) ? payload : [payload];
+    let queued = 0;
+    
+    for (const event of events) {
+      const key = this._eventKey(event);
+      if (!key) {
+        logger.debug(`Ignoring webhook event ${event && event.type}`);
+        continue;
+      }
+      
+      try {
+        this._schedule(await this.queue.add(key, event));
+        queued++;
+      } catch (error) {
+        // Not acknowledged, so Gladly delivers the event again
+        logger.error(`Failed to queue webhook event ${event.id || event.type}: ${error.message}`);
+        return { status: 500, body: { error: 'Failed to queue event' } };
+      }
+    }
+    
+    logger.debug(`Queued ${queued} of ${events.length} webhook events`);
+    return queued > 0 ? { status: 202, body: { queued } } : { status: 200, body: { queued: 0 } };
+  }
+
+  /**
+   * Check a request's signature: the hex HMAC-SHA256 of the raw body made
+   * with the shared secret, given bare, as `sha256=<hex>` or as the
+   * `Signature=<hex>` parameter of a comma-separated header
+   * 
+   * @param {Buffer} rawBody Request body exactly as received
+   * @param {string} [header] Value of the signature header
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(rawBody, header) {
+    if (!header) {
+      return false;
+    }
+    
+    const expected = crypto.createHmac('sha256', this.secret).update(rawBody).digest();
+    
+    return String(header).split(',').some(part => {
+      const value = part.trim().replace(/^(sha256|signature)=/i, '');
+      if (!/^[0-9a-f]+$/i.test(value) || value.length !== expected.length * 2) {
+        return false;
+      }
+      return crypto.timingSafeEqual(Buffer.from(value, 'hex'), expected);
+    });
+  }
+
+  /**
+   * Stop accepting events and wait for an import in progress to finish
+   * 
+   * Queued entries that were not imported yet stay on disk for the next start.
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    if (this.flushing) {
+      logger.info('Waiting for the webhook import in progress to finish');
+      await this.flushing;
+    }
+  }
+
+  // conversation:<id> for conversation and item events, customer:<id> for customer profile events
+  _eventKey(event) {
+    const content = (event && event.content) || {};
+    
+    if (content.conversationId) {
+      return `conversation:${content.conversationId}`;
+    }
+    if (content.customerId && /^CUSTOMER/.test(event.type || '')) {
+      return `customer:${content.customerId}`;
+    }
+    return null;
+  }
+
+  _schedule(entry) {
+    const first = new Date(entry.firstReceivedAt).getTime();
+    const last = new Date(entry.lastReceivedAt).getTime();
+    const dueAt = Math.min(last + this.debounce, first + this.maxDelay);
+    
+    this.pending.set(entry.key, { entry, dueAt });
+    this._arm();
+  }
+
+  // One timer for the earliest due entry; nothing is armed while an import runs
+  _arm() {
+    if (this.closed || this.flushing) {
+      return;
+    }
+    
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.pending.size === 0) {
+      return;
+    }
+    
+    const dueAt = Math.min(...[...this.pending.values()].map(item => item.dueAt));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flushing = this._flush().finally(() => {
+        this.flushing = null;
+        this._arm();
+      });
+    }, Math.max(dueAt - Date.now(), 0));
+  }
+
+  async _flush() {
+    const now = Date.now();
+    const due = [...this.pending.values()].filter(item => item.dueAt <= now).map(item => item.entry);
+    if (due.length === 0) {
+      return;
+    }
+    
+    for (const entry of due) {
+      this.pending.delete(entry.key);
+    }
+    
+    const ids = kind => due.filter(entry => entry.key.startsWith(`${kind}:`)).map(entry => entry.key.slice(kind.length + 1));
+    const conversationIds = ids('conversation');
+    const customerIds = ids('customer');
+    
+    try {
+      logger.info(`Importing ${conversationIds.length} conversations and the conversations of ${customerIds.length} customers from webhooks`);
+      const metrics = await this.importer.importConversations(conversationIds, { source: 'webhook', customerIds });
+      logger.child({ runId: metrics.runId }).info(`Webhook import finished: ${metrics.conversationsCount} conversations, ${metrics.errorsCount} errors`);
+      
+      for (const entry of due) {
+        await this.queue.remove(entry);
+      }
+    } catch (error) {
+      const reason = error.locked ? 'another import holds the state lock' : error.message;
+      logger.warn(`Webhook import failed, retrying in ${Math.round(this.retryDelay / 1000)}s: ${reason}`);
+      
+      const retryAt = Date.now() + this.retryDelay;
+      for (const entry of due) {
+        // An entry that got new events meanwhile is already scheduled
+        if (!this.pending.has(entry.key)) {
+          this.pending.set(entry.key, { entry, dueAt: retryAt });
+        }
+      }
+    }
+  }
+}
+
+module.exports = WebhookReceiver;
\ No newline at end of file
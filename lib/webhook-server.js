@@ -0,0 +1,104 @@
+const http = require('http');
+const logger = require('./logger');
+
+// Gladly events are small; anything bigger is not one of them
+const MAX_BODY_BYTES = 1048576;
+
+/**
+ * HTTP server that hands webhook requests to the receiver of their path
+ */
+class WebhookServer {
+  /**
+   * Create a new webhook server
+   * 
+   * @param {Array} routes Objects with path, receiver (WebhookReceiver) and optional tenant
+   * @param {Object} [options] Options
+   * @param {number} [options.port] Port to listen on (default: 8080)
+   */
+  constructor(routes, options = {}) {
+    this.routes = new Map(routes.map(route => [route.path, route]));
+    this.port = options.port !== undefined ? options.port : 8080;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * 
+   * @returns {number} The port listened on
+   */
+  async listen() {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    
+    const port = this.server.address().port;
+    logger.info(`Listening for Gladly webhooks on port ${port} at ${[...this.routes.keys()].join(', ')}`);
+    return port;
+  }
+
+  /**
+   * Stop accepting connections and wait for open requests to finish
+   */
+  async close() {
+    await new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async _handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    
+    const route = this.routes.get(req.url.split('?')[0].replace(/(.)\/$/, '$1'));
+    if (!route) {
+      return send(404, { error: 'Not found' });
+    }
+    if (req.method !== 'POST') {
+      return send(405, { error: 'Method not allowed' });
+    }
+    
+    let rawBody;
+    try {
+      rawBody = await readBody(req);
+    } catch (error) {
+      return send(error.status || 400, { error: error.message });
+    }
+    
+    const handle = () => route.receiver.handle(rawBody, req.headers);
+    try {
+      const response = await (route.tenant ? logger.withContext({ tenant: route.tenant }, handle) : handle());
+      send(response.status, response.body);
+    } catch (error) {
+      logger.error(`Failed to handle webhook: ${error.message}`);
+      send(500, { error: 'Internal error' });
+    }
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+        return;
+      }
+      
+      // The rest is read and dropped so the response can still be sent
+      const error = new Error('Body too large');
+      error.status = 413;
+      reject(error);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+module.exports = WebhookServer;
\ No newline at end of file
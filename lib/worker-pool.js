@@ -0,0 +1,58 @@
+/**
+ * Run a worker over every value of an (async) iterable with bounded concurrency
+ * 
+ * Values are pulled from the iterable only when a worker is free, so a
+ * streaming source is never read further ahead than the pool can handle.
+ * The worker is expected to handle its own errors; an error thrown by the
+ * worker or the iterable stops the pool. A pool that stops before the end
+ * returns the iterator, so a streaming source closes what it has open.
+ * 
+ * @param {AsyncIterable|Iterable} iterable Source of values
+ * @param {number} concurrency Number of values processed at once
+ * @param {Function} worker Async function called with each value
+ */
+async function runWorkerPool(iterable, concurrency, worker) {
+  const iterator = iterable[Symbol.asyncIterator]
+    ? iterable[Symbol.asyncIterator]()
+    : iterable[Symbol.iterator]();
+  let stopped = false;
+  let exhausted = false;
+  
+  async function runWorker() {
+    while (!stopped) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        exhausted = true;
+        return;
+      }
+      
+      try {
+        await worker(value);
+      } catch (error) {
+        stopped = true;
+        throw error;
+      }
+    }
+  }
+  
+  const workers = [];
+  for (let i = 0; i < Math.max(1, concurrency); i++) {
+    workers.push(runWorker());
+  }
+  
+  try {
+    await Promise.all(workers);
+  } finally {
+    stopped = true;
+    await Promise.allSettled(workers);
+    
+    if (!exhausted && typeof iterator.return === 'function') {
+      // The error that stopped the pool is the one worth reporting
+      await Promise.resolve().then(() => iterator.return()).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  runWorkerPool
+};
\ No newline at end of file
@@ -0,0 +1,177 @@
+const ConversationFilter = require('../lib/conversation-filter');
+
+const channelMap = { CHAT_MESSAGE: 'chat', EMAIL: 'email', SMS: 'sms', PHONE_CALL: 'voice' };
+
+function customerItem(type) {
+  return { initiator: { type: 'CUSTOMER' }, content: { type } };
+}
+
+function agentItem(type) {
+  return { initiator: { type: 'AGENT' }, content: { type } };
+}
+
+describe('ConversationFilter', () => {
+  it('imports everything without filters', () => {
+    const filter = new ConversationFilter();
+    
+    expect(filter.check({ id: 'c1', status: 'OPEN', topicIds: ['t1'] })).toBeNull();
+    expect(filter.checkItems([customerItem('EMAIL')])).toBeNull();
+    expect(filter.checkItems([])).toBeNull();
+  });
+  
+  describe('status', () => {
+    it('includes only the listed statuses, in any case', () => {
+      const filter = new ConversationFilter({ statuses: ['Closed'] });
+      
+      expect(filter.check({ status: 'CLOSED' })).toBeNull();
+      expect(filter.check({ status: 'OPEN' })).toBe('status');
+      expect(filter.check({})).toBe('status');
+    });
+    
+    it('excludes the listed statuses', () => {
+      const filter = new ConversationFilter({ excludeStatuses: ['open'] });
+      
+      expect(filter.check({ status: 'OPEN' })).toBe('status');
+      expect(filter.check({ status: 'CLOSED' })).toBeNull();
+      expect(filter.check({})).toBeNull();
+    });
+  });
+  
+  describe('topic', () => {
+    const lookups = { topics: new Map([['t1', { name: 'Billing' }], ['t2', { name: 'Shipping' }]]) };
+    
+    it('includes conversations with one of the listed topics, by id or by name', () => {
+      const filter = new ConversationFilter({ topics: ['t1', 'shipping'] });
+      filter.setLookups(lookups);
+      
+      expect(filter.check({ topicIds: ['t1'] })).toBeNull();
+      expect(filter.check({ topicIds: ['t3', 't2'] })).toBeNull();
+      expect(filter.check({ topicIds: ['t3'] })).toBe('topic');
+      expect(filter.check({})).toBe('topic');
+    });
+    
+    it('excludes conversations with any of the listed topics', () => {
+      const filter = new ConversationFilter({ excludeTopics: ['Billing'] });
+      filter.setLookups(lookups);
+      
+      expect(filter.check({ topicIds: ['t2', 't1'] })).toBe('topic');
+      expect(filter.check({ topicIds: ['t2'] })).toBeNull();
+      expect(filter.check({})).toBeNull();
+    });
+    
+    it('matches names only once the lookups are set', () => {
+      const filter = new ConversationFilter({ topics: ['billing'] });
+      
+      expect(filter.check({ topicIds: ['t1'] })).toBe('topic');
+      
+      filter.setLookups(lookups);
+      expect(filter.check({ topicIds: ['t1'] })).toBeNull();
+    });
+  });
+  
+  describe('channel', () => {
+    it('includes conversations where the customer wrote on one of the listed channels', () => {
+      const filter = new ConversationFilter({ channels: ['Email'] }, channelMap);
+      
+      expect(filter.checkItems([customerItem('CHAT_MESSAGE'), customerItem('EMAIL')])).toBeNull();
+      expect(filter.checkItems([customerItem('CHAT_MESSAGE')])).toBe('channel');
+      expect(filter.checkItems([])).toBe('channel');
+    });
+    
+    it('excludes conversations where the customer wrote on any of the listed channels', () => {
+      const filter = new ConversationFilter({ excludeChannels: ['voice'] }, channelMap);
+      
+      expect(filter.checkItems([customerItem('EMAIL'), customerItem('PHONE_CALL')])).toBe('channel');
+      expect(filter.checkItems([customerItem('EMAIL')])).toBeNull();
+    });
+    
+    it('looks only at customer messages', () => {
+      const filter = new ConversationFilter({ excludeChannels: ['voice'] }, channelMap);
+      
+      expect(filter.checkItems([customerItem('EMAIL'), agentItem('PHONE_CALL')])).toBeNull();
+      expect(filter.checkItems([customerItem('EMAIL'), customerItem('CUSTOMER_ACTIVITY')])).toBeNull();
+    });
+    
+    it('counts unmapped item types as the other channel', () => {
+      const filter = new ConversationFilter({ channels: ['other'] }, channelMap);
+      
+      expect(filter.checkItems([customerItem('FAX')])).toBeNull();
+    });
+  });
+  
+  describe('customer messages', () => {
+    it('filters out conversations with fewer customer messages than required', () => {
+      const filter = new ConversationFilter({ minCustomerMessages: 2 }, channelMap);
+      
+      expect(filter.checkItems([customerItem('EMAIL'), agentItem('EMAIL')])).toBe('customer_messages');
+      expect(filter.checkItems([customerItem('EMAIL'), customerItem('EMAIL')])).toBeNull();
+    });
+  });
+  
+  describe('inbox and custom attributes', () => {
+    it('includes and excludes by inbox id', () => {
+      expect(new ConversationFilter({ inboxes: ['i1'] }).check({ inboxId: 'i2' })).toBe('inbox');
+      expect(new ConversationFilter({ excludeInboxes: ['i1'] }).check({ inboxId: 'i1' })).toBe('inbox');
+      expect(new ConversationFilter({ inboxes: ['i1'], excludeInboxes: ['i2'] }).check({ inboxId: 'i1' })).toBeNull();
+    });
+    
+    it('includes and excludes by custom attribute value', () => {
+      const filter = new ConversationFilter({
+        customAttributes: { tier: ['gold', 'silver'] },
+        excludeCustomAttributes: { region: 'test' }
+      });
+      const attributes = (tier, region) => ({ customAttributes: [{ id: 'tier', value: tier }, { id: 'region', value: region }] });
+      
+      expect(filter.check(attributes('gold', 'eu'))).toBeNull();
+      expect(filter.check(attributes('bronze', 'eu'))).toBe('custom_attribute');
+      expect(filter.check(attributes('gold', 'test'))).toBe('custom_attribute');
+      expect(filter.check({})).toBe('custom_attribute');
+    });
+  });
+  
+  describe('include and exclude together', () => {
+    it('lets the exclude list win over the include list', () => {
+      const filter = new ConversationFilter({ topics: ['t1'], excludeTopics: ['t2'] });
+      
+      expect(filter.check({ topicIds: ['t1'] })).toBeNull();
+      expect(filter.check({ topicIds: ['t1', 't2'] })).toBe('topic');
+    });
+    
+    it('excludes a value listed in both', () => {
+      const filter = new ConversationFilter({ channels: ['email'], excludeChannels: ['email'] }, channelMap);
+      
+      expect(filter.checkItems([customerItem('EMAIL')])).toBe('channel');
+    });
+    
+    it('requires every configured filter to pass', () => {
+      const filter = new ConversationFilter({ statuses: ['closed'], topics: ['t1'] });
+      
+      expect(filter.check({ status: 'CLOSED', topicIds: ['t1'] })).toBeNull();
+      expect(filter.check({ status: 'CLOSED', topicIds: ['t2'] })).toBe('topic');
+      expect(filter.check({ status: 'OPEN', topicIds: ['t2'] })).toBe('status');
+    });
+    
+    it('reports the first failing filter: inbox, status, topic, then custom attribute', () => {
+      const filter = new ConversationFilter({
+        inboxes: ['i1'],
+        statuses: ['closed'],
+        topics: ['t1'],
+        customAttributes: { tier: 'gold' }
+      });
+      const conversation = { inboxId: 'i1', status: 'CLOSED', topicIds: ['t1'], customAttributes: [{ id: 'tier', value: 'gold' }] };
+      
+      expect(filter.check(conversation)).toBeNull();
+      expect(filter.check({ ...conversation, customAttributes: [] })).toBe('custom_attribute');
+      expect(filter.check({ ...conversation, customAttributes: [], topicIds: [] })).toBe('topic');
+      expect(filter.check({ ...conversation, customAttributes: [], topicIds: [], status: 'OPEN' })).toBe('status');
+      expect(filter.check({ ...conversation, customAttributes: [], topicIds: [], status: 'OPEN', inboxId: 'i2' })).toBe('inbox');
+    });
+    
+    it('checks the channel before the number of customer messages', () => {
+      const filter = new ConversationFilter({ channels: ['chat'], minCustomerMessages: 2 }, channelMap);
+      
+      expect(filter.checkItems([customerItem('EMAIL')])).toBe('channel');
+      expect(filter.checkItems([customerItem('CHAT_MESSAGE')])).toBe('customer_messages');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeadLetterQueue = require('../lib/dead-letter-queue');
+
+describe('DeadLetterQueue', () => {
+  let directory;
+  let queue;
+  
+  function failure(id, stage = 'post', message = 'Enterpret rejected the record') {
+    return { conversation: { id }, items: [{ id: `${id}-item` }], stage, error: Object.assign(new Error(message), { status: 422 }) };
+  }
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-queue-'));
+    queue = new DeadLetterQueue(directory);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  it('stores a failure with its payload and reads it back', async () => {
+    await queue.add(failure('c1'));
+    
+    expect(await queue.get('c1')).toMatchObject({
+      id: 'c1',
+      stage: 'post',
+      error: { message: 'Enterpret rejected the record', status: 422 },
+      attempts: 1,
+      conversation: { id: 'c1' },
+      items: [{ id: 'c1-item' }],
+      customer: null
+    });
+  });
+  
+  it('counts attempts and keeps the first failure time', async () => {
+    const first = await queue.add(failure('c1'));
+    const second = await queue.add(failure('c1', 'fetch_items', 'timeout'));
+    
+    expect(second).toMatchObject({ attempts: 2, stage: 'fetch_items', firstFailedAt: first.firstFailedAt });
+  });
+  
+  it('keeps the previous entry intact when a write fails before the rename', async () => {
+    await queue.add(failure('c1'));
+    
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+    await queue.add(failure('c1', 'transform', 'bad item'));
+    
+    expect(await queue.get('c1')).toMatchObject({ attempts: 1, stage: 'post' });
+    expect(fs.readdirSync(directory)).toEqual(['c1.json']);
+  });
+  
+  it('lists entries oldest failure first, skipping temporary files', async () => {
+    await queue.add(failure('c2'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await queue.add(failure('c1'));
+    fs.writeFileSync(path.join(directory, 'c3.json.1a2b3c4d.tmp'), '{');
+    
+    expect((await queue.list()).map(entry => entry.id)).toEqual(['c2', 'c1']);
+  });
+  
+  it('removes and purges entries', async () => {
+    await queue.add(failure('c1'));
+    await queue.add(failure('c2'));
+    await queue.add(failure('c3'));
+    
+    expect(await queue.remove('c1')).toBe(true);
+    expect(await queue.remove('c1')).toBe(false);
+    expect(await queue.purge(['c2'])).toBe(1);
+    expect(await queue.purge()).toBe(1);
+    expect(await queue.list()).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { htmlToText, stripQuotedReply, stripSignature, cleanEmailBody } = require('../lib/email-text');
+
+describe('email-text', () => {
+  describe('htmlToText', () => {
+    it('returns an empty string for a missing body', () => {
+      expect(htmlToText(undefined)).toBe('');
+      expect(htmlToText('')).toBe('');
+    });
+    
+    it('turns paragraphs, line breaks and list items into text', () => {
+      expect(htmlToText('<p>Hello</p><p>Line one<br>Line two</p><ul><li>First</li><li>Second</li></ul>'))
+        .toBe('Hello\n\nLine one\nLine two\n\n- First\n- Second');
+    });
+    
+    it('drops scripts, styles, comments and quoted blockquotes', () => {
+      expect(htmlToText('<style>p { color: red }</style><p>Kept</p><!-- note --><blockquote>Earlier mail</blockquote>'))
+        .toBe('Kept');
+    });
+    
+    it('decodes named, decimal and hex entities', () => {
+      expect(htmlToText('<p>Tom &amp; Jerry &lt;3 &quot;cheese&quot; &#8217; &#x2014; &hellip;</p>'))
+        .toBe('Tom & Jerry <3 "cheese" ’ — …');
+    });
+    
+    it('leaves unknown named entities as written', () => {
+      expect(htmlToText('<p>Price &euro;5 &bogus;</p>')).toBe('Price &euro;5 &bogus;');
+    });
+    
+    it('leaves numeric entities beyond the last code point as written', () => {
+      expect(htmlToText('<p>Hi &#99999999; there</p>')).toBe('Hi &#99999999; there');
+      expect(htmlToText('<p>Hi &#x110000; there</p>')).toBe('Hi &#x110000; there');
+      expect(htmlToText('<p>Last &#x10FFFF;</p>')).toBe(`Last ${String.fromCodePoint(0x10FFFF)}`);
+    });
+  });
+  
+  describe('stripQuotedReply', () => {
+    it('drops everything from an "On ... wrote:" line on', () => {
+      expect(stripQuotedReply('Thanks, that worked.\n\nOn Mon, Jan 1, 2024 at 9:00 AM Support <help@example.com> wrote:\n> Try restarting'))
+        .toBe('Thanks, that worked.');
+    });
+    
+    it('recognises an "On ... wrote:" header wrapped onto two lines', () => {
+      expect(stripQuotedReply('Still broken.\nOn Mon, Jan 1, 2024 at 9:00 AM Support\n<help@example.com> wrote:\nEarlier text'))
+        .toBe('Still broken.');
+    });
+    
+    it.each([
+      '-----Original Message-----',
+      '---------- Forwarded message ---------',
+      '________________________________',
+      'From: Support <help@example.com>'
+    ])('drops everything from a "%s" header on', header => {
+      expect(stripQuotedReply(`New text\n${header}\nOld text`)).toBe('New text');
+    });
+    
+    it('drops quoted lines between new ones', () => {
+      expect(stripQuotedReply('> Did you try X?\nYes\n> And Y?\nAlso yes')).toBe('Yes\nAlso yes');
+    });
+    
+    it('keeps a message without a quote', () => {
+      expect(stripQuotedReply('Where is my order?\nIt was due on Monday.')).toBe('Where is my order?\nIt was due on Monday.');
+    });
+  });
+  
+  describe('stripSignature', () => {
+    it('drops everything from the "-- " delimiter on', () => {
+      expect(stripSignature('Please call me back.\n-- \nJane Doe\nAcme Inc.')).toBe('Please call me back.');
+    });
+    
+    it.each(['Sent from my iPhone', 'Get Outlook for Android'])('drops a "%s" footer', footer => {
+      expect(stripSignature(`Refund please.\n\n${footer}`)).toBe('Refund please.');
+    });
+    
+    it('keeps dashes inside a line', () => {
+      expect(stripSignature('The app -- version 2 -- crashes')).toBe('The app -- version 2 -- crashes');
+    });
+  });
+  
+  describe('cleanEmailBody', () => {
+    it('prefers the plain body and strips the quote and signature', () => {
+      expect(cleanEmailBody({
+        bodyPlain: 'It works now\r\n\r\nSent from my iPhone\r\n\r\nOn Tue, Support wrote:\r\n> Try again',
+        bodyHtml: '<p>ignored</p>'
+      })).toBe('It works now');
+    });
+    
+    it('falls back to the HTML body', () => {
+      expect(cleanEmailBody({ bodyHtml: '<p>Hi &amp; thanks</p><blockquote>old</blockquote>' })).toBe('Hi & thanks');
+    });
+    
+    it('keeps a forward with nothing typed above it', () => {
+      expect(cleanEmailBody({ bodyPlain: '---------- Forwarded message ---------\nFrom: a@example.com\nBody' }))
+        .toBe('---------- Forwarded message ---------\nFrom: a@example.com\nBody');
+    });
+  });
+});
\ No newline at end of file
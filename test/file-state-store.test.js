@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStateStore = require('../lib/file-state-store');
+const { describeStateStore } = require('./helpers/state-store-contract');
+
+describe('FileStateStore', () => {
+  let directory;
+  let statePath;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-state-store-'));
+    statePath = path.join(directory, 'state.json');
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  describeStateStore(async () => [new FileStateStore({ path: statePath }), new FileStateStore({ path: statePath })]);
+  
+  describe('atomic write', () => {
+    it('leaves the previous state intact when the write fails before the rename', async () => {
+      const store = new FileStateStore({ path: statePath });
+      await store.write({ lastImportTime: '2024-01-01T00:00:00.000Z' });
+      
+      jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+      await expect(store.write({ lastImportTime: '2024-02-01T00:00:00.000Z' })).rejects.toThrow('disk full');
+      
+      expect(await store.read()).toEqual({ lastImportTime: '2024-01-01T00:00:00.000Z' });
+    });
+    
+    it('leaves no temporary files behind', async () => {
+      const store = new FileStateStore({ path: statePath });
+      await store.write({ imported: {} });
+      await store.lock(60000);
+      await store.refreshLock(60000);
+      await store.unlock();
+      
+      expect(fs.readdirSync(directory)).toEqual(['state.json']);
+    });
+  });
+  
+  describe('lock file', () => {
+    it('never treats an unreadable lock file as expired', async () => {
+      fs.writeFileSync(`${statePath}.lock`, '{"owner": "host:1');
+      
+      await expect(new FileStateStore({ path: statePath }).lock(60000)).rejects.toThrow('not valid JSON');
+      expect(fs.readFileSync(`${statePath}.lock`, 'utf8')).toBe('{"owner": "host:1');
+    });
+    
+    it('holds the full lock as soon as the lock file exists', async () => {
+      const store = new FileStateStore({ path: statePath });
+      await store.lock(60000);
+      
+      const lock = JSON.parse(fs.readFileSync(`${statePath}.lock`, 'utf8'));
+      expect(lock).toMatchObject({ token: store.heldLock.token, expiresAt: store.heldLock.expiresAt });
+    });
+    
+    it('puts back a newer lock found while removing an expired one', async () => {
+      const store = new FileStateStore({ path: statePath });
+      const newer = { owner: 'other:1', token: 'newer', expiresAt: new Date(Date.now() + 60000).toISOString() };
+      fs.writeFileSync(`${statePath}.lock`, JSON.stringify(newer));
+      
+      await store._removeExpiredLock({ owner: 'dead:1', token: 'expired', expiresAt: new Date(0).toISOString() });
+      
+      expect(JSON.parse(fs.readFileSync(`${statePath}.lock`, 'utf8'))).toEqual(newer);
+      expect(fs.readdirSync(directory)).toEqual(['state.json.lock']);
+    });
+  });
+});
\ No newline at end of file
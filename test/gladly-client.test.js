@@ -0,0 +1,187 @@
+const GladlyClient = require('../lib/gladly-client');
+const { createHttpStub } = require('./helpers/http-stub');
+
+function ndjson(records) {
+  return records.map(record => JSON.stringify(record)).join('\n');
+}
+
+describe('GladlyClient', () => {
+  const stub = createHttpStub();
+  
+  function createClient(config = {}) {
+    return new GladlyClient({
+      apiUrl: stub.url,
+      username: 'importer@example.com',
+      apiToken: 'token',
+      maxRetries: 0,
+      exportPollInterval: 10,
+      ...config
+    });
+  }
+  
+  beforeAll(() => stub.listen());
+  
+  afterAll(() => stub.close());
+  
+  beforeEach(() => stub.reset());
+  
+  describe('createExportJob', () => {
+    it('posts a CONVERSATIONS job for the window and returns it', async () => {
+      stub.handle = () => [201, { id: 'job1', status: 'PENDING' }];
+      
+      const job = await createClient().createExportJob('2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z');
+      
+      expect(job).toEqual({ id: 'job1', status: 'PENDING' });
+      expect(stub.requests).toHaveLength(1);
+      expect(stub.requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/api/v1/export/jobs',
+        body: { type: 'CONVERSATIONS', startAt: '2024-01-01T00:00:00.000Z', endAt: '2024-01-02T00:00:00.000Z' }
+      });
+      expect(stub.requests[0].headers.authorization).toBe(`Basic ${Buffer.from('importer@example.com:token').toString('base64')}`);
+    });
+    
+    it('fails when Gladly returns no job id', async () => {
+      stub.handle = () => [201, {}];
+      
+      await expect(createClient().createExportJob('2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z'))
+        .rejects.toThrow('Export job creation returned no job id');
+    });
+  });
+  
+  describe('waitForExportJob', () => {
+    it('polls until the job completes and returns it', async () => {
+      const statuses = ['PENDING', 'IN_PROGRESS', 'COMPLETED'];
+      stub.handle = request => request.url === '/api/v1/export/jobs/job1'
+        ? [200, { id: 'job1', status: statuses.shift(), files: ['conversations.jsonl'] }]
+        : null;
+      
+      const job = await createClient().waitForExportJob('job1');
+      
+      expect(job).toEqual({ id: 'job1', status: 'COMPLETED', files: ['conversations.jsonl'] });
+      expect(stub.requests).toHaveLength(3);
+    });
+    
+    it.each(['FAILED', 'CANCELLED'])('fails when the job ends %s', async status => {
+      stub.handle = () => [200, { id: 'job1', status }];
+      
+      await expect(createClient().waitForExportJob('job1')).rejects.toThrow(`Export job job1 finished with status ${status}`);
+    });
+    
+    it('fails once the export timeout is reached', async () => {
+      stub.handle = () => [200, { id: 'job1', status: 'IN_PROGRESS' }];
+      
+      await expect(createClient({ exportTimeout: 50 }).waitForExportJob('job1'))
+        .rejects.toThrow('Export job job1 did not complete within 50ms (last status: IN_PROGRESS)');
+      expect(stub.requests.length).toBeGreaterThan(1);
+    });
+    
+    it('returns null once asked to stop', async () => {
+      let polls = 0;
+      stub.handle = () => [200, { id: 'job1', status: 'IN_PROGRESS' }];
+      
+      const job = await createClient().waitForExportJob('job1', { shouldStop: () => ++polls > 2 });
+      
+      expect(job).toBeNull();
+      expect(stub.requests.length).toBeLessThanOrEqual(3);
+    });
+  });
+  
+  describe('streamConversations', () => {
+    const startDate = '2024-01-01T00:00:00.000Z';
+    const endDate = '2024-01-02T00:00:00.000Z';
+    
+    function serveExport(files) {
+      stub.handle = request => {
+        if (request.method === 'POST' && request.url === '/api/v1/export/jobs') {
+          return [201, { id: 'job1', status: 'PENDING' }];
+        }
+        if (request.url === '/api/v1/export/jobs/job1') {
+          return [200, { id: 'job1', status: 'COMPLETED', files: Object.keys(files) }];
+        }
+        
+        const file = request.url.replace('/api/v1/export/jobs/job1/files/', '');
+        return file in files ? [200, files[file]] : null;
+      };
+    }
+    
+    async function collect(options = {}) {
+      const conversations = [];
+      for await (const conversation of createClient().streamConversations({ startDate, endDate, ...options })) {
+        conversations.push(conversation.id);
+      }
+      return conversations;
+    }
+    
+    it('yields conversations from the start of the window up to but not including its end', async () => {
+      serveExport({
+        'conversations.jsonl': ndjson([
+          { id: 'before', updatedAt: '2023-12-31T23:59:59.999Z' },
+          { id: 'at-start', updatedAt: startDate },
+          { id: 'inside', updatedAt: '2024-01-01T12:00:00.000Z' },
+          { id: 'last-ms', updatedAt: '2024-01-01T23:59:59.999Z' },
+          { id: 'at-end', updatedAt: endDate }
+        ])
+      });
+      
+      expect(await collect()).toEqual(['at-start', 'inside', 'last-ms']);
+    });
+    
+    it('falls back to closedAt and createdAt when a conversation has no updatedAt', async () => {
+      serveExport({
+        'conversations.jsonl': ndjson([
+          { id: 'closed-inside', closedAt: '2024-01-01T01:00:00.000Z', createdAt: '2023-12-01T00:00:00.000Z' },
+          { id: 'created-inside', createdAt: '2024-01-01T02:00:00.000Z' },
+          { id: 'closed-outside', closedAt: '2023-12-31T00:00:00.000Z', createdAt: '2024-01-01T03:00:00.000Z' },
+          { id: 'no-timestamps' }
+        ])
+      });
+      
+      expect(await collect()).toEqual(['closed-inside', 'created-inside']);
+    });
+    
+    it('yields conversations outside the window that got items inside it', async () => {
+      serveExport({
+        'conversation_items.jsonl': ndjson([
+          { id: 'i1', conversationId: 'new-item', timestamp: '2024-01-01T05:00:00.000Z' },
+          { id: 'i2', conversationId: 'old-item', timestamp: '2023-12-31T05:00:00.000Z' },
+          { id: 'i3', conversationId: 'item-at-end', timestamp: endDate }
+        ]),
+        'conversations.jsonl': ndjson([
+          { id: 'new-item', updatedAt: '2023-12-15T00:00:00.000Z' },
+          { id: 'old-item', updatedAt: '2023-12-15T00:00:00.000Z' },
+          { id: 'item-at-end', updatedAt: '2023-12-15T00:00:00.000Z' }
+        ])
+      });
+      
+      expect(await collect()).toEqual(['new-item']);
+    });
+    
+    it('reads every conversations file and skips other files', async () => {
+      serveExport({
+        'conversations-1.jsonl': ndjson([{ id: 'c1', updatedAt: '2024-01-01T01:00:00.000Z' }]),
+        'customers.jsonl': ndjson([{ id: 'customer1', updatedAt: '2024-01-01T01:00:00.000Z' }]),
+        'conversations-2.jsonl': ndjson([{ id: 'c2', updatedAt: '2024-01-01T02:00:00.000Z' }])
+      });
+      
+      expect(await collect()).toEqual(['c1', 'c2']);
+      expect(stub.requests.map(request => request.url)).not.toContain('/api/v1/export/jobs/job1/files/customers.jsonl');
+    });
+    
+    it('yields nothing when stopped while waiting for the job', async () => {
+      serveExport({ 'conversations.jsonl': ndjson([{ id: 'c1', updatedAt: '2024-01-01T01:00:00.000Z' }]) });
+      const handle = stub.handle;
+      stub.handle = request => (request.url === '/api/v1/export/jobs/job1' ? [200, { id: 'job1', status: 'IN_PROGRESS' }] : handle(request));
+      
+      expect(await collect({ shouldStop: () => true })).toEqual([]);
+    });
+    
+    it('fails when the export job fails', async () => {
+      serveExport({});
+      const handle = stub.handle;
+      stub.handle = request => (request.url === '/api/v1/export/jobs/job1' ? [200, { id: 'job1', status: 'FAILED' }] : handle(request));
+      
+      await expect(collect()).rejects.toThrow('Failed to fetch conversations: Export job job1 finished with status FAILED');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const http = require('http');
+
+/**
+ * Local HTTP stand-in for an API; each test sets the handler for the
+ * requests it expects and reads back the requests that were made
+ * 
+ * The handler is called with { method, url, headers, body } and returns
+ * [status, data, headers], or nothing for a 404. String data is sent as
+ * NDJSON, anything else as JSON.
+ * 
+ * @returns {Object} Stub with requests, handle, url and listen/close
+ */
+function createHttpStub() {
+  const stub = {
+    requests: [],
+    handle: null,
+    url: null,
+    server: http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        stub.requests.push(request);
+        
+        const [status, data, headers = {}] = stub.handle(request) || [404, { error: 'not found' }];
+        if (typeof data === 'string') {
+          res.writeHead(status, { 'Content-Type': 'application/x-ndjson', ...headers });
+          res.end(data);
+        } else {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(data));
+        }
+      });
+    }),
+    
+    listen() {
+      return new Promise(resolve => {
+        stub.server.listen(0, '127.0.0.1', () => {
+          stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+          resolve();
+        });
+      });
+    },
+    
+    close() {
+      return new Promise(resolve => stub.server.close(resolve));
+    },
+    
+    reset() {
+      stub.requests = [];
+      stub.handle = null;
+    }
+  };
+  
+  return stub;
+}
+
+module.exports = { createHttpStub };
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Tests every state store must pass (see lib/state-store.js)
+ * 
+ * @param {Function} createStores Called before each test; resolves to two stores sharing the same state, as two processes would
+ */
+function describeStateStore(createStores) {
+  let first;
+  let second;
+  
+  beforeEach(async () => {
+    [first, second] = await createStores();
+  });
+  
+  afterEach(async () => {
+    await first.unlock();
+    await second.unlock();
+    await first.close();
+    await second.close();
+  });
+  
+  describe('read and write', () => {
+    it('reads null before anything was written', async () => {
+      expect(await first.read()).toBeNull();
+    });
+    
+    it('reads back what another store wrote', async () => {
+      const state = { lastImportTime: '2024-01-02T00:00:00.000Z', imported: { c1: { updatedAt: '2024-01-01T00:00:00.000Z' } } };
+      await first.write(state);
+      
+      expect(await second.read()).toEqual(state);
+    });
+    
+    it('replaces the whole state on write', async () => {
+      await first.write({ imported: { c1: {} }, failed: { c2: {} } });
+      await first.write({ imported: { c3: {} } });
+      
+      expect(await second.read()).toEqual({ imported: { c3: {} } });
+    });
+    
+    it('reads null after remove', async () => {
+      await first.write({ imported: {} });
+      await first.remove();
+      
+      expect(await second.read()).toBeNull();
+    });
+  });
+  
+  describe('lock', () => {
+    it('refuses the lock while another store holds it', async () => {
+      await first.lock(60000);
+      
+      await expect(second.lock(60000)).rejects.toMatchObject({ locked: true });
+    });
+    
+    it('hands the lock over once it is released', async () => {
+      await first.lock(60000);
+      await first.unlock();
+      
+      await expect(second.lock(60000)).resolves.toBeUndefined();
+      await expect(first.lock(60000)).rejects.toMatchObject({ locked: true });
+    });
+    
+    it('lets only the holder refresh the lock', async () => {
+      await first.lock(60000);
+      
+      await expect(first.refreshLock(60000)).resolves.toBeUndefined();
+      await expect(second.refreshLock(60000)).rejects.toThrow('State lock was lost');
+    });
+    
+    it('keeps the lock when a store that does not hold it unlocks', async () => {
+      await first.lock(60000);
+      await second.unlock();
+      
+      await expect(second.lock(60000)).rejects.toMatchObject({ locked: true });
+    });
+    
+    it('takes over an expired lock, after which the old holder cannot refresh it', async () => {
+      await first.lock(50);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      await expect(second.lock(60000)).resolves.toBeUndefined();
+      await expect(first.refreshLock(60000)).rejects.toThrow('State lock was lost');
+      await expect(first.lock(60000)).rejects.toMatchObject({ locked: true });
+    });
+    
+    it('gives an expired lock to only one of two stores taking it at once', async () => {
+      const third = (await createStores())[0];
+      await first.lock(50);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      const results = await Promise.allSettled([second.lock(60000), third.lock(60000)]);
+      await third.unlock();
+      await third.close();
+      
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    });
+  });
+}
+
+module.exports = { describeStateStore };
\ No newline at end of file
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const Redactor = require('../lib/redactor');
+
+function hash(value, salt = 'pepper') {
+  return crypto.createHash('sha256').update(`${salt}${value}`).digest('hex').slice(0, 16);
+}
+
+describe('Redactor', () => {
+  describe('detectors', () => {
+    const redactor = new Redactor();
+    const mask = text => redactor.redactText(text, 'mask', {});
+    
+    it('masks email addresses', () => {
+      expect(mask('Write to jane.doe+shop@example.co.uk today')).toBe('Write to [EMAIL] today');
+    });
+    
+    it('masks card numbers that pass the Luhn check, with or without separators', () => {
+      expect(mask('Card 4111 1111 1111 1111 was charged')).toBe('Card [CREDIT_CARD] was charged');
+      expect(mask('Card 4111-1111-1111-1111')).toBe('Card [CREDIT_CARD]');
+      expect(mask('Card 5500005555555559')).toBe('Card [CREDIT_CARD]');
+    });
+    
+    it('leaves digit runs that fail the Luhn check', () => {
+      expect(mask('Tracking 4111111111111112')).toBe('Tracking 4111111111111112');
+      expect(mask('Invoice 1234 5678 9012 3456')).toBe('Invoice 1234 5678 9012 3456');
+    });
+    
+    it('masks SSNs but not impossible ones', () => {
+      expect(mask('SSN 123-45-6789')).toBe('SSN [SSN]');
+      expect(mask('SSN 000-45-6789 or 123-00-6789')).toBe('SSN 000-45-6789 or 123-00-6789');
+    });
+    
+    it.each([
+      'call 555-123-4567',
+      'call 555.123.4567',
+      'call 555 123 4567',
+      'call (555) 123-4567',
+      'call (555)1234567',
+      'call +1 555 123 4567',
+      'call +15551234567',
+      'call +44 (555) 123-4567'
+    ])('masks the phone number in "%s"', text => {
+      expect(mask(text)).toBe('call [PHONE]');
+    });
+    
+    it('leaves bare runs of ten digits such as order numbers', () => {
+      expect(mask('order 1234567890 shipped')).toBe('order 1234567890 shipped');
+      expect(mask('ticket #5551234567')).toBe('ticket #5551234567');
+    });
+    
+    it('masks street addresses with their unit', () => {
+      expect(mask('Ship to 221 Baker Street, Apt 4B please')).toBe('Ship to [ADDRESS] please');
+      expect(mask('Send it to 42 Main St. soon')).toBe('Send it to [ADDRESS] soon');
+    });
+    
+    it('uses only the configured detectors plus custom patterns', () => {
+      const custom = new Redactor({
+        detectors: ['email'],
+        customPatterns: [{ name: 'orderNumber', pattern: 'ORD-\\d{8}' }]
+      });
+      
+      expect(custom.redactText('a@b.com 555-123-4567 ORD-12345678', 'mask', {})).toBe('[EMAIL] 555-123-4567 [ORDER_NUMBER]');
+    });
+    
+    it('counts matches by detector', () => {
+      const stats = {};
+      redactor.redactText('a@b.com, c@d.org, 555-123-4567', 'mask', stats);
+      
+      expect(stats).toEqual({ email: 2, phone: 1 });
+    });
+  });
+  
+  describe('text field policies', () => {
+    const text = 'Mail jane@example.com or call 555-123-4567';
+    
+    function redactContent(policy) {
+      const redactor = new Redactor({ salt: 'pepper', textFields: { content: policy } });
+      return redactor.redact({ content: text }, {}).content;
+    }
+    
+    it('keep leaves the text as is', () => {
+      expect(redactContent('keep')).toBe(text);
+    });
+    
+    it('mask replaces each match with its label', () => {
+      expect(redactContent('mask')).toBe('Mail [EMAIL] or call [PHONE]');
+    });
+    
+    it('hash replaces each match with a salted digest', () => {
+      expect(redactContent('hash')).toBe(`Mail [EMAIL:${hash('jane@example.com')}] or call [PHONE:${hash('555-123-4567')}]`);
+    });
+    
+    it('drop removes each match', () => {
+      expect(redactContent('drop')).toBe('Mail  or call ');
+    });
+    
+    it('reaches into arrays', () => {
+      const redactor = new Redactor({ textFields: { 'messages[].text': 'mask' } });
+      const record = redactor.redact({ messages: [{ text: 'a@b.com' }, { text: 'none' }, { role: 'agent' }] }, {});
+      
+      expect(record.messages).toEqual([{ text: '[EMAIL]' }, { text: 'none' }, { role: 'agent' }]);
+    });
+  });
+  
+  describe('value field policies', () => {
+    function redactEmail(policy) {
+      const redactor = new Redactor({ salt: 'pepper', textFields: {}, valueFields: { 'customer.email': policy } });
+      return redactor.redact({ customer: { id: 'cust1', email: 'jane@example.com' } }, {}).customer;
+    }
+    
+    it('keep leaves the value as is', () => {
+      expect(redactEmail('keep')).toEqual({ id: 'cust1', email: 'jane@example.com' });
+    });
+    
+    it('mask replaces the value', () => {
+      expect(redactEmail('mask')).toEqual({ id: 'cust1', email: '[REDACTED]' });
+    });
+    
+    it('hash replaces the value with a stable salted digest', () => {
+      expect(redactEmail('hash')).toEqual({ id: 'cust1', email: hash('jane@example.com') });
+    });
+    
+    it('drop removes the field', () => {
+      expect(redactEmail('drop')).toEqual({ id: 'cust1' });
+    });
+    
+    it('leaves empty values alone and does not count them', () => {
+      const stats = {};
+      const redactor = new Redactor({ valueFields: { 'customer.email': 'mask' } });
+      
+      expect(redactor.redact({ customer: { email: '' } }, stats).customer).toEqual({ email: '' });
+      expect(stats).toEqual({});
+    });
+  });
+  
+  describe('config', () => {
+    it('is enabled unless turned off', () => {
+      const record = { content: 'a@b.com' };
+      
+      expect(new Redactor({ textFields: { content: 'mask' } }).redact({ ...record }, {})).toEqual({ content: '[EMAIL]' });
+      expect(new Redactor({ enabled: false, textFields: { content: 'mask' } }).redact({ ...record }, {})).toEqual(record);
+    });
+    
+    it('rejects unknown policies and detectors, invalid patterns and hashing without a salt', () => {
+      expect(() => new Redactor({
+        detectors: ['fax'],
+        customPatterns: [{ name: 'broken', pattern: '(' }],
+        textFields: { content: 'blur' },
+        valueFields: { 'customer.email': 'hash' }
+      })).toThrow(/textFields\.content has unknown policy "blur"[\s\S]*salt is required[\s\S]*unknown detector "fax"[\s\S]*customPatterns\.broken/);
+    });
+  });
+  
+  describe('field mapping', () => {
+    it('moves policies to renamed fields and leaves out dropped ones', () => {
+      const redactor = new Redactor({
+        textFields: { content: 'mask', 'messages[].text': 'mask' },
+        valueFields: { 'customer.email': 'mask', 'customer.phone': 'mask' }
+      }, {
+        fields: { content: 'body', messages: 'conversation.messages', 'customer.phone': null }
+      });
+      
+      expect(redactor.textFields).toEqual({ body: 'mask', 'conversation.messages[].text': 'mask' });
+      expect(redactor.valueFields).toEqual({ 'customer.email': 'mask' });
+    });
+    
+    it('keeps a policy configured for the renamed field', () => {
+      const redactor = new Redactor({ salt: 'pepper', textFields: { content: 'mask', body: 'hash' } }, { fields: { content: 'body' } });
+      
+      expect(redactor.textFields).toEqual({ body: 'hash' });
+    });
+    
+    it('scans extracted fields unless a policy names them', () => {
+      const redactor = new Redactor({ textFields: {}, valueFields: { 'metadata.email': 'drop' } }, {
+        extract: { 'metadata.notes': '$.conversation.notes', 'metadata.email': '$.customer.email' }
+      });
+      const record = redactor.redact({ metadata: { notes: ['call 555-123-4567', { text: 'a@b.com' }], email: 'a@b.com' } }, {});
+      
+      expect(record.metadata).toEqual({ notes: ['call [PHONE]', { text: '[EMAIL]' }] });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const Redis = require('ioredis');
+const RedisStateStore = require('../lib/redis-state-store');
+const { describeStateStore } = require('./helpers/state-store-contract');
+
+describe('RedisStateStore', () => {
+  // ioredis-mock instances with the same URL share their data, like clients of one server
+  const url = 'redis://127.0.0.1:6379';
+  
+  beforeEach(async () => {
+    const client = new Redis(url);
+    await client.flushall();
+    client.disconnect();
+  });
+  
+  describeStateStore(async () => [new RedisStateStore({ url }), new RedisStateStore({ url })]);
+  
+  it('sets the lock to expire with its TTL', async () => {
+    const store = new RedisStateStore({ url, key: 'ttl-test' });
+    await store.lock(60000);
+    
+    const ttl = await store.client.pttl('ttl-test:lock');
+    expect(ttl).toBeGreaterThan(50000);
+    expect(ttl).toBeLessThanOrEqual(60000);
+    
+    await store.unlock();
+    await store.close();
+  });
+});
\ No newline at end of file
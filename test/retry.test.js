@@ -0,0 +1,164 @@
+const axios = require('axios');
+const logger = require('../lib/logger');
+const EnterpretClient = require('../lib/enterpret-client');
+const GladlyClient = require('../lib/gladly-client');
+const { attachRetryPolicy, parseRetryAfter, getRetryReason, isIdempotent, backoffDelay } = require('../lib/retry');
+const { createHttpStub } = require('./helpers/http-stub');
+
+describe('retry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('parseRetryAfter', () => {
+    it('reads a value in seconds', () => {
+      expect(parseRetryAfter('120')).toBe(120000);
+      expect(parseRetryAfter(2)).toBe(2000);
+      expect(parseRetryAfter('0')).toBe(0);
+    });
+    
+    it('reads an HTTP date as the time left until then', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+      
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT')).toBe(30000);
+    });
+    
+    it('never returns a negative delay', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+      
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT')).toBe(0);
+      expect(parseRetryAfter('-5')).toBe(0);
+    });
+    
+    it.each([undefined, null, '', 'soon'])('returns null for %p', value => {
+      expect(parseRetryAfter(value)).toBeNull();
+    });
+  });
+  
+  describe('getRetryReason', () => {
+    it.each([
+      [{ response: { status: 429 } }, 'rate limited (429)'],
+      [{ response: { status: 503 } }, 'server error (503)'],
+      [{ code: 'ECONNABORTED' }, 'timeout (ECONNABORTED)'],
+      [{ code: 'ETIMEDOUT' }, 'timeout (ETIMEDOUT)'],
+      [{ code: 'ECONNRESET' }, 'connection reset (ECONNRESET)']
+    ])('retries %p', (error, reason) => {
+      expect(getRetryReason(error)).toBe(reason);
+    });
+    
+    it.each([
+      [{ response: { status: 400 } }],
+      [{ response: { status: 404 } }],
+      [{ code: 'ECONNREFUSED' }],
+      [{}]
+    ])('does not retry %p', error => {
+      expect(getRetryReason(error)).toBeNull();
+    });
+  });
+  
+  describe('isIdempotent', () => {
+    it('decides by method unless the request says otherwise', () => {
+      expect(isIdempotent({ method: 'get' })).toBe(true);
+      expect(isIdempotent({ method: 'PUT' })).toBe(true);
+      expect(isIdempotent({ method: 'post' })).toBe(false);
+      expect(isIdempotent({ method: 'post', idempotent: true })).toBe(true);
+      expect(isIdempotent({ method: 'get', idempotent: false })).toBe(false);
+    });
+  });
+  
+  describe('backoffDelay', () => {
+    it('doubles per attempt with jitter between half and all of it, up to the cap', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect([0, 1, 2, 3].map(attempt => backoffDelay(attempt, 100, 500))).toEqual([50, 100, 200, 250]);
+      
+      Math.random.mockReturnValue(0.999999);
+      expect([0, 1, 2, 3].map(attempt => backoffDelay(attempt, 100, 500))).toEqual([100, 200, 400, 500]);
+    });
+  });
+  
+  describe('attachRetryPolicy', () => {
+    const stub = createHttpStub();
+    let client;
+    
+    // Answers with each response in turn, then keeps giving the last one
+    function respondWith(...responses) {
+      stub.handle = () => (responses.length > 1 ? responses.shift() : responses[0]);
+    }
+    
+    beforeAll(() => stub.listen());
+    
+    afterAll(() => stub.close());
+    
+    beforeEach(() => {
+      stub.reset();
+      client = axios.create({ baseURL: stub.url });
+      attachRetryPolicy(client, { name: 'Test', maxRetries: 2, retryDelay: 1, maxRetryDelay: 10 });
+    });
+    
+    it('retries a GET on a server error until it succeeds', async () => {
+      respondWith([503, {}], [502, {}], [200, { ok: true }]);
+      
+      const response = await client.get('/things');
+      
+      expect(response.data).toEqual({ ok: true });
+      expect(stub.requests).toHaveLength(3);
+    });
+    
+    it('gives up after maxRetries', async () => {
+      respondWith([503, {}]);
+      
+      await expect(client.get('/things')).rejects.toMatchObject({ response: { status: 503 } });
+      expect(stub.requests).toHaveLength(3);
+    });
+    
+    it('does not retry client errors', async () => {
+      respondWith([400, {}]);
+      
+      await expect(client.get('/things')).rejects.toMatchObject({ response: { status: 400 } });
+      expect(stub.requests).toHaveLength(1);
+    });
+    
+    it('does not retry a non-idempotent POST on a server error', async () => {
+      respondWith([503, {}], [200, {}]);
+      
+      await expect(client.post('/things', {})).rejects.toMatchObject({ response: { status: 503 } });
+      expect(stub.requests).toHaveLength(1);
+    });
+    
+    it('retries a non-idempotent POST on 429, which the server did not process', async () => {
+      respondWith([429, {}, { 'Retry-After': '0' }], [201, { id: 'thing1' }]);
+      
+      const response = await client.post('/things', {});
+      
+      expect(response.data).toEqual({ id: 'thing1' });
+      expect(stub.requests).toHaveLength(2);
+    });
+    
+    it('waits for Retry-After, capped at maxRetryDelay', async () => {
+      const warn = jest.spyOn(logger, 'warn');
+      respondWith([429, {}, { 'Retry-After': '120' }], [200, {}]);
+      
+      await client.get('/things');
+      
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^Retrying Test GET \/things in 10ms \(attempt 1 of 2\): rate limited \(429\)/));
+    });
+    
+    it('retries a feedback post, which upserts by record id', async () => {
+      const enterpret = new EnterpretClient({ apiUrl: stub.url, apiKey: 'key', maxRetries: 2, retryDelay: 1 });
+      respondWith([503, {}], [200, { results: [] }]);
+      
+      await enterpret.importFeedbackBatch([{ id: 'gladly_c1', source: 'Gladly', timestamp: '2024-01-01T00:00:00.000Z', content: 'Hi' }]);
+      
+      expect(stub.requests).toHaveLength(2);
+      expect(stub.requests.map(request => request.url)).toEqual(['/api/v1/feedback/batch?upsert=true', '/api/v1/feedback/batch?upsert=true']);
+    });
+    
+    it('does not retry creating a Gladly export job on a server error', async () => {
+      const gladly = new GladlyClient({ apiUrl: stub.url, username: 'u', apiToken: 't', maxRetries: 2, retryDelay: 1 });
+      respondWith([503, {}], [201, { id: 'job1' }]);
+      
+      await expect(gladly.createExportJob('2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z')).rejects.toMatchObject({ response: { status: 503 } });
+      expect(stub.requests).toHaveLength(1);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const S3StateStore = require('../lib/s3-state-store');
+const { describeStateStore } = require('./helpers/state-store-contract');
+
+/**
+ * In-memory stand-in for an S3 bucket, answering the commands the store
+ * sends the way S3 does, including If-None-Match and If-Match
+ */
+class FakeS3 {
+  constructor(objects) {
+    this.objects = objects;
+  }
+
+  async send(command) {
+    const { Key: key, Body: body, IfNoneMatch: ifNoneMatch, IfMatch: ifMatch } = command.input;
+    const existing = this.objects.get(key);
+    
+    switch (command.constructor.name) {
+      case 'GetObjectCommand':
+        if (!existing) throw s3Error('NoSuchKey', 404);
+        return { ETag: existing.etag, Body: { transformToString: async () => existing.body } };
+      case 'PutObjectCommand': {
+        if ((ifNoneMatch === '*' && existing) || (ifMatch && (!existing || existing.etag !== ifMatch))) {
+          throw s3Error('PreconditionFailed', 412);
+        }
+        const etag = `"${crypto.createHash('md5').update(`${body}${Math.random()}`).digest('hex')}"`;
+        this.objects.set(key, { body, etag });
+        return { ETag: etag };
+      }
+      case 'DeleteObjectCommand':
+        this.objects.delete(key);
+        return {};
+      default:
+        throw new Error(`Unexpected command ${command.constructor.name}`);
+    }
+  }
+
+  destroy() {
+  }
+}
+
+function s3Error(name, status) {
+  return Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+}
+
+describe('S3StateStore', () => {
+  let objects;
+  
+  function createStore() {
+    const store = new S3StateStore({ bucket: 'state', key: 'import-state.json', endpoint: 'http://127.0.0.1:9000' });
+    store.client.destroy();
+    store.client = new FakeS3(objects);
+    return store;
+  }
+  
+  beforeEach(() => {
+    objects = new Map();
+  });
+  
+  describeStateStore(async () => [createStore(), createStore()]);
+  
+  it('does not overwrite a lock another store took over when refreshing', async () => {
+    const first = createStore();
+    const second = createStore();
+    
+    await first.lock(50);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await second.lock(60000);
+    
+    await expect(first.refreshLock(60000)).rejects.toThrow('State lock was lost');
+    expect(JSON.parse(objects.get('import-state.json.lock').body).token).toBe(second.heldLock.token);
+    
+    await second.unlock();
+  });
+  
+  it('refreshes the lock more than once', async () => {
+    const store = createStore();
+    
+    await store.lock(60000);
+    await store.refreshLock(60000);
+    await expect(store.refreshLock(60000)).resolves.toBeUndefined();
+    
+    await store.unlock();
+    expect(objects.has('import-state.json.lock')).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStateStore = require('../lib/sqlite-state-store');
+const { describeStateStore } = require('./helpers/state-store-contract');
+
+describe('SqliteStateStore', () => {
+  let directory;
+  let dbPath;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-state-store-'));
+    dbPath = path.join(directory, 'state.db');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  describeStateStore(async () => [new SqliteStateStore({ path: dbPath }), new SqliteStateStore({ path: dbPath })]);
+  
+  it('keeps the state and lock of each key apart', async () => {
+    const first = new SqliteStateStore({ path: dbPath, key: 'acme' });
+    const second = new SqliteStateStore({ path: dbPath, key: 'globex' });
+    
+    await first.write({ lastImportTime: '2024-01-01T00:00:00.000Z' });
+    await first.lock(60000);
+    
+    expect(await second.read()).toBeNull();
+    await expect(second.lock(60000)).resolves.toBeUndefined();
+    
+    await first.unlock();
+    await second.unlock();
+    await first.close();
+    await second.close();
+  });
+});
\ No newline at end of file
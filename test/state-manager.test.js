@@ -0,0 +1,112 @@
+const StateManager = require('../lib/state-manager');
+
+/**
+ * In-memory state store whose writes can be made to fail
+ */
+class MemoryStore {
+  constructor() {
+    this.state = null;
+    this.failWrites = false;
+  }
+
+  async read() {
+    return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+  }
+
+  async write(state) {
+    if (this.failWrites) {
+      throw new Error('disk full');
+    }
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+describe('StateManager', () => {
+  let store;
+  let stateManager;
+  
+  beforeEach(() => {
+    store = new MemoryStore();
+    stateManager = new StateManager(store);
+  });
+  
+  describe('save', () => {
+    it('writes the state to the store', async () => {
+      await stateManager.markImported('c1', '2024-01-01T00:00:00.000Z');
+      await stateManager.save();
+      
+      expect(store.state.imported.c1.updatedAt).toBe('2024-01-01T00:00:00.000Z');
+    });
+    
+    it('fails when the store cannot be written', async () => {
+      store.failWrites = true;
+      
+      await expect(stateManager.save()).rejects.toThrow('Failed to save import state: disk full');
+    });
+    
+    it('saves again once the store recovers', async () => {
+      store.failWrites = true;
+      await expect(stateManager.save()).rejects.toThrow('disk full');
+      
+      store.failWrites = false;
+      await expect(stateManager.save()).resolves.toBeUndefined();
+    });
+    
+    it('refuses to write once the lock was lost', async () => {
+      await stateManager.load();
+      stateManager.lockLost = true;
+      
+      await expect(stateManager.save()).rejects.toThrow('Failed to save import state: the state lock was lost');
+      expect(store.state).toBeNull();
+    });
+  });
+  
+  describe('markFiltered', () => {
+    it('stores the filter that left the conversation out', async () => {
+      await stateManager.markFiltered('c1', '2024-01-01T00:00:00.000Z', 'channel');
+      await stateManager.save();
+      
+      expect(store.state.imported.c1).toMatchObject({ updatedAt: '2024-01-01T00:00:00.000Z', filtered: 'channel' });
+    });
+    
+    it('counts as imported so the conversation is not fetched again', async () => {
+      await stateManager.markFiltered('c1', '2024-01-01T00:00:00.000Z', 'status');
+      
+      expect(await stateManager.isImported('c1', '2024-01-01T00:00:00.000Z')).toBe(true);
+      expect(await stateManager.isImported('c1', '2024-01-02T00:00:00.000Z')).toBe(false);
+    });
+    
+    it('clears an earlier failure', async () => {
+      await stateManager.markFailed('c1', new Error('timeout'), '2024-01-01T00:00:00.000Z');
+      await stateManager.markFiltered('c1', '2024-01-01T00:00:00.000Z', 'topic');
+      
+      const state = await stateManager.load();
+      expect(state.failed.c1).toBeUndefined();
+      expect(state.imported.c1.filtered).toBe('topic');
+    });
+    
+    it('drops the reason once the conversation is imported', async () => {
+      await stateManager.markFiltered('c1', '2024-01-01T00:00:00.000Z', 'topic');
+      await stateManager.markImported('c1', '2024-01-02T00:00:00.000Z');
+      
+      const state = await stateManager.load();
+      expect(state.imported.c1.filtered).toBeUndefined();
+    });
+  });
+  
+  describe('updateLastImportTime', () => {
+    it('saves the new watermark', async () => {
+      await stateManager.updateLastImportTime(new Date('2024-01-02T00:00:00.000Z'));
+      
+      expect(store.state.lastImportTime).toBe('2024-01-02T00:00:00.000Z');
+    });
+    
+    it('fails and keeps the previous watermark when the state cannot be saved', async () => {
+      await stateManager.updateLastImportTime(new Date('2024-01-02T00:00:00.000Z'));
+      store.failWrites = true;
+      
+      await expect(stateManager.updateLastImportTime(new Date('2024-01-03T00:00:00.000Z'))).rejects.toThrow('disk full');
+      expect(await stateManager.getLastImportTime()).toBe('2024-01-02T00:00:00.000Z');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { runWorkerPool } = require('../lib/worker-pool');
+
+/**
+ * Async generator over values that records whether it was closed early
+ */
+function createSource(values) {
+  const source = { pulled: [], closed: false };
+  source.iterable = (async function* () {
+    try {
+      for (const value of values) {
+        source.pulled.push(value);
+        yield value;
+      }
+    } finally {
+      source.closed = true;
+    }
+  })();
+  return source;
+}
+
+describe('runWorkerPool', () => {
+  it('runs the worker over every value', async () => {
+    const seen = [];
+    
+    await runWorkerPool(createSource([1, 2, 3, 4, 5]).iterable, 2, async value => {
+      seen.push(value);
+    });
+    
+    expect(seen.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+  
+  it('accepts a plain iterable', async () => {
+    const seen = [];
+    
+    await runWorkerPool(['a', 'b'], 3, async value => {
+      seen.push(value);
+    });
+    
+    expect(seen).toEqual(['a', 'b']);
+  });
+  
+  it('never has more values in flight than the concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    
+    await runWorkerPool(createSource([1, 2, 3, 4, 5, 6]).iterable, 2, async () => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    });
+    
+    expect(maxRunning).toBe(2);
+  });
+  
+  it('stops pulling values and closes the source when a worker throws', async () => {
+    const source = createSource([1, 2, 3, 4, 5, 6]);
+    
+    await expect(runWorkerPool(source.iterable, 1, async value => {
+      if (value === 2) throw new Error('boom');
+    })).rejects.toThrow('boom');
+    
+    expect(source.pulled).toEqual([1, 2]);
+    expect(source.closed).toBe(true);
+  });
+  
+  it('reports the worker error even when closing the source fails', async () => {
+    const iterable = {
+      [Symbol.asyncIterator]() {
+        return {
+          next: async () => ({ value: 1, done: false }),
+          return: async () => {
+            throw new Error('close failed');
+          }
+        };
+      }
+    };
+    
+    await expect(runWorkerPool(iterable, 1, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+  });
+  
+  it('fails when the source fails', async () => {
+    const iterable = (async function* () {
+      yield 1;
+      throw new Error('stream broke');
+    })();
+    
+    await expect(runWorkerPool(iterable, 2, async () => {})).rejects.toThrow('stream broke');
+  });
+});
\ No newline at end of file